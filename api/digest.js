@@ -0,0 +1,23 @@
+// api/digest.js
+
+import { runDigests } from "./webhook.js";
+import { isCronAuthorized } from "../lib/cron.js";
+
+/**
+ * Vercel Cron route (see vercel.json): runs hourly and sends the digests and
+ * evening nudges that are due. Hourly crons need a Vercel Pro plan.
+ */
+export default async (req, res) => {
+  if (!isCronAuthorized(req)) {
+    return res.status(401).send("Unauthorized");
+  }
+
+  try {
+    const result = await runDigests();
+    console.log("Digest run:", result);
+    res.status(200).json(result);
+  } catch (error) {
+    console.error("Digest run failed:", error.message);
+    res.status(500).send("Internal Server Error");
+  }
+};
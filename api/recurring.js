@@ -0,0 +1,23 @@
+// api/recurring.js
+
+import { runRecurringExpenses } from "./webhook.js";
+import { isCronAuthorized } from "../lib/cron.js";
+
+/**
+ * Vercel Cron route (see vercel.json): logs the recurring expenses that are
+ * due today and notifies their chats.
+ */
+export default async (req, res) => {
+  if (!isCronAuthorized(req)) {
+    return res.status(401).send("Unauthorized");
+  }
+
+  try {
+    const result = await runRecurringExpenses();
+    console.log("Recurring expenses run:", result);
+    res.status(200).json(result);
+  } catch (error) {
+    console.error("Recurring expenses run failed:", error.message);
+    res.status(500).send("Internal Server Error");
+  }
+};
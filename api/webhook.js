@@ -1,11 +1,132 @@
 // api/webhook.js
 
-import { Telegraf } from "telegraf";
+import { Telegraf, Markup } from "telegraf";
 import { GoogleGenAI } from "@google/genai";
-import { z } from "zod";
-import { zodToJsonSchema } from "zod-to-json-schema";
 import dotenv from "dotenv";
-import { put, getDownloadUrl, list, del } from "@vercel/blob";
+import { randomBytes, createHash } from "crypto";
+import {
+  createStorage,
+  updateDocument,
+  KEEP_VERSIONS,
+  HISTORY_RETENTION_DAYS,
+  MAX_HISTORY_VERSIONS,
+} from "../lib/storage/index.js";
+import { escapeHtml, formatPeso, formatTranscript } from "../lib/format.js";
+import {
+  serializeLedger,
+  parseLedger,
+  LEDGER_SCHEMA_VERSION,
+  parseLegacyLedgerCsv,
+  generateLedgerCsv,
+} from "../lib/ledger.js";
+import { EXPORT_FORMATS, parseExportArgs, buildExport } from "../lib/export.js";
+import { parseStatement, removeDuplicates } from "../lib/import.js";
+import {
+  parseRecurringArgs,
+  getDueDates,
+  getNextDueDate,
+  formatSchedule,
+} from "../lib/recurring.js";
+import { setAIClient } from "../lib/ai.js";
+import {
+  parseMessageWithAI,
+  parseVoiceWithAI,
+  parseReceiptWithAI,
+} from "../lib/parse.js";
+import {
+  getManilaDate,
+  getManilaHour,
+  startOfMonth,
+  normalizeDate,
+  formatDate,
+  formatDateRange,
+  parseDateExpression,
+} from "../lib/dates.js";
+import {
+  resolveReportPeriod,
+  filterRecordsByDate,
+  buildReport,
+  formatReport,
+  formatBalance,
+  getExpenses,
+  isIncome,
+  sumAmounts,
+} from "../lib/report.js";
+import {
+  EMPTY_BUDGETS,
+  getBudgetStatus,
+  formatBudgetLine,
+  formatBudgetAlerts,
+} from "../lib/budget.js";
+import {
+  DEFAULT_WORKSHEET,
+  createSheetsClient,
+  setSheetsClient,
+  isSheetsConfigured,
+  getServiceAccountEmail,
+  parseSpreadsheetId,
+  getSpreadsheetUrl,
+  writeSheetRecords,
+} from "../lib/sheets.js";
+import {
+  DEFAULT_DIGEST_SETTINGS,
+  parseDigestArgs,
+  getDueMessages,
+  formatDigestSettings,
+} from "../lib/digest.js";
+import { answerQuery } from "../lib/query.js";
+import {
+  EMPTY_CATEGORY_CONFIG,
+  MAX_CUSTOM_CATEGORIES,
+  INCOME_CATEGORY,
+  getCategories,
+  findCategory,
+  parseCategoryName,
+  normalizeMerchant,
+  guessCategory,
+  addRule,
+  learnRule,
+} from "../lib/categories.js";
+import {
+  MAX_CUSTOM_ACCOUNTS,
+  getAccounts,
+  findAccount,
+  parseAccountName,
+  resolveRecordAccount,
+  calculateAccountTotals,
+} from "../lib/accounts.js";
+import {
+  EMPTY_SPLITS,
+  MAX_SPLIT_MEMBERS,
+  getMemberKey,
+  getMemberName,
+  parseSplitMessage,
+  splitEvenly,
+  calculateBalances,
+  planSettlements,
+  formatOwed,
+} from "../lib/splits.js";
+import {
+  BASE_CURRENCY,
+  DEFAULT_RATES_URL,
+  createRateProvider,
+  parseCurrencyCode,
+  convertToPesos,
+  needsConversion,
+  setOriginalAmount,
+  formatOriginalAmount,
+  formatRate,
+} from "../lib/currency.js";
+import {
+  EMPTY_ACCESS,
+  isWebhookAuthorized,
+  parseIdList,
+  isAccessControlled,
+  isAdmin,
+  hasAccess,
+  allow,
+  revoke,
+} from "../lib/access.js";
 
 // Load environment variables
 dotenv.config();
@@ -13,6 +134,7 @@ dotenv.config();
 // --- CONFIGURATION ---
 const BOT_TOKEN = process.env.BOT_TOKEN;
 const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
+const TELEGRAM_WEBHOOK_SECRET = process.env.TELEGRAM_WEBHOOK_SECRET;
 
 // --- FIX: Using the Vercel-generated variable name with fallbacks ---
 const BLOB_READ_WRITE_TOKEN =
@@ -20,14 +142,54 @@ const BLOB_READ_WRITE_TOKEN =
   process.env.BLOB_READ_WRITE_TOKEN ||
   process.env.VERCEL_BLOB_READ_WRITE_TOKEN;
 
+// Storage backend: "blob" (Vercel Blob, default), "local" or "sqlite"
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || "blob";
+const LOCAL_STORAGE_DIR = process.env.LOCAL_STORAGE_DIR || "./data";
+const SQLITE_FILE = process.env.SQLITE_FILE || "./data/kwentako.db";
+
+// Telegram user whose ledger takes over the single shared ledger the bot
+// kept before ledgers were split per user and chat
+const LEGACY_LEDGER_OWNER_ID = parseIdList(
+  process.env.LEGACY_LEDGER_OWNER_ID
+)[0];
+
+// Optional Google Sheets sync through a service account
+const GOOGLE_SERVICE_ACCOUNT_EMAIL = process.env.GOOGLE_SERVICE_ACCOUNT_EMAIL;
+const GOOGLE_PRIVATE_KEY = (process.env.GOOGLE_PRIVATE_KEY || "").replace(
+  /\\n/g,
+  "\n"
+); // Vercel stores the key's newlines escaped
+
+// Exchange rates for foreign currency expenses: "http" (live rates from
+// RATES_URL) or "fixture" (the static test table)
+const RATE_PROVIDER = process.env.RATE_PROVIDER || "http";
+const RATES_URL = process.env.RATES_URL || DEFAULT_RATES_URL;
+
+// Who may use the bot: once admins are set, only they and the allowed users
+// (plus anyone added with /allow) get answers
+const ACCESS_CONFIG = {
+  admins: parseIdList(process.env.ADMIN_USER_IDS),
+  allowed: parseIdList(process.env.ALLOWED_USER_IDS),
+};
+
 const CREATOR_NAME = "Eli Bautista";
-const BLOB_FILE_KEY = "expenses/kwentako_data.csv";
 
 // Fail-safe check with detailed logging
-if (!BOT_TOKEN || !GEMINI_API_KEY || !BLOB_READ_WRITE_TOKEN) {
+if (
+  !BOT_TOKEN ||
+  !GEMINI_API_KEY ||
+  !TELEGRAM_WEBHOOK_SECRET ||
+  (STORAGE_BACKEND === "blob" && !BLOB_READ_WRITE_TOKEN)
+) {
   console.error("FATAL: Required environment variables are missing.");
   console.error("BOT_TOKEN:", BOT_TOKEN ? "✓ Present" : "✗ Missing");
   console.error("GEMINI_API_KEY:", GEMINI_API_KEY ? "✓ Present" : "✗ Missing");
+  console.error(
+    "TELEGRAM_WEBHOOK_SECRET:",
+    TELEGRAM_WEBHOOK_SECRET
+      ? "✓ Present"
+      : "✗ Missing (every webhook update will be refused with 401 until it is set and passed to setWebhook as secret_token)"
+  );
   console.error(
     "BLOB_READ_WRITE_TOKEN:",
     BLOB_READ_WRITE_TOKEN ? "✓ Present" : "✗ Missing"
@@ -36,649 +198,2960 @@ if (!BOT_TOKEN || !GEMINI_API_KEY || !BLOB_READ_WRITE_TOKEN) {
     "Available env keys:",
     Object.keys(process.env).filter((key) => key.includes("BLOB"))
   );
+  console.error("STORAGE_BACKEND:", STORAGE_BACKEND);
+}
+
+if (RATE_PROVIDER === "fixture") {
+  console.error(
+    "WARNING: RATE_PROVIDER=fixture converts foreign currencies with the static test rates in lib/rates-fixture.js, not live rates"
+  );
 }
 
+if (!isAccessControlled(ACCESS_CONFIG)) {
+  console.log(
+    "ADMIN_USER_IDS and ALLOWED_USER_IDS are not set: any Telegram user can use this bot"
+  );
+} else if (ACCESS_CONFIG.admins.length === 0) {
+  console.log(
+    "ADMIN_USER_IDS is not set: only ALLOWED_USER_IDS can use this bot, and nobody can /allow others"
+  );
+}
+
+const storage = createStorage({
+  backend: STORAGE_BACKEND,
+  blobToken: BLOB_READ_WRITE_TOKEN,
+  localDir: LOCAL_STORAGE_DIR,
+  sqliteFile: SQLITE_FILE,
+});
+
+const rateProvider = createRateProvider({
+  provider: RATE_PROVIDER,
+  url: RATES_URL,
+});
+
 const bot = new Telegraf(BOT_TOKEN);
-const ai = new GoogleGenAI({ apiKey: GEMINI_API_KEY });
-const model = "gemini-2.5-flash"; // Lighter model, sufficient for expense parsing
+setAIClient(new GoogleGenAI({ apiKey: GEMINI_API_KEY }));
+
+if (GOOGLE_SERVICE_ACCOUNT_EMAIL && GOOGLE_PRIVATE_KEY) {
+  setSheetsClient(
+    createSheetsClient({
+      clientEmail: GOOGLE_SERVICE_ACCOUNT_EMAIL,
+      privateKey: GOOGLE_PRIVATE_KEY,
+    }),
+    GOOGLE_SERVICE_ACCOUNT_EMAIL
+  );
+}
 
 // Simple message tracking to prevent duplicates
 const processedMessages = new Set();
 const MESSAGE_CACHE_SIZE = 100;
 
-// Rate limiting for Gemini API
-let lastGeminiCall = 0;
-const GEMINI_MIN_DELAY = 2000; // 2 seconds between calls
-
-// --- Simplified Schema for Better Performance ---
-const expenseSchema = z.object({
-  description: z.string().describe("Brief expense description"),
-  amount: z.number().describe("Amount in PHP"),
-  category: z
-    .enum([
-      "Food",
-      "Transportation",
-      "Supplies",
-      "Utilities",
-      "Personal",
-      "Other",
-    ])
-    .describe("Expense category"),
-});
-const responseSchema = z.array(expenseSchema);
-
-// Create a simpler, more efficient schema
-const simplifiedJsonSchema = {
-  type: "array",
-  items: {
-    type: "object",
-    properties: {
-      description: { type: "string" },
-      amount: { type: "number" },
-      category: {
-        type: "string",
-        enum: [
-          "Food",
-          "Transportation",
-          "Supplies",
-          "Utilities",
-          "Personal",
-          "Other",
-        ],
-      },
-    },
-    required: ["description", "amount", "category"],
-  },
-};
+// -------------------------------------------------------------------
+// 3. RECORD ID HELPERS
+// -------------------------------------------------------------------
+
+/**
+ * Generates a short, typeable ID for a new expense record (e.g. "a3f9c2").
+ */
+const generateRecordId = () => randomBytes(3).toString("hex");
 
 // -------------------------------------------------------------------
-// 3. CSV GENERATION & BLOB HELPERS
+// 4. STORAGE HELPERS
 // -------------------------------------------------------------------
 
 /**
- * Generates initial CSV with metadata and headers
+ * Resolves the ledger that a Telegram update belongs to.
+ * Private chats get a per-user ledger, group chats share one per chat.
+ * @param {object} ctx - The Telegraf context.
+ * @returns {string} The ledger ID, e.g. "user_12345" or "chat_-100987".
+ */
+const getLedgerId = (ctx) => {
+  if (ctx.chat && ctx.chat.type !== "private") {
+    return `chat_${ctx.chat.id}`;
+  }
+  return `user_${ctx.from.id}`;
+};
+
+/**
+ * Returns the storage folder that holds every file of a ledger.
+ * The trailing slash keeps "user_1/" from matching "user_12/".
  */
-const generateInitialCSV = () => {
-  const now = new Date();
-  const timestamp = now.toISOString();
+const getLedgerFolder = (ledgerId) => `${ledgerId}/`;
 
-  return `KwentaKo Expense Tracker by Eli Bautista
-Generated: ${timestamp} 
-Total Expenses: PHP 0.00
-Total Records: 0
+/**
+ * Returns the storage path of a ledger's records (see lib/ledger.js).
+ */
+const getLedgerPath = (ledgerId) => `${getLedgerFolder(ledgerId)}ledger.json`;
+
+/**
+ * Returns the storage path of a ledger saved in the old CSV format. It is
+ * migrated to the JSON ledger the first time the ledger changes, and kept
+ * as a backup.
+ */
+const getLegacyLedgerPath = (ledgerId) =>
+  `${getLedgerFolder(ledgerId)}kwentako_data.csv`;
 
-CATEGORY BREAKDOWN:
-Date,Description,Amount (PHP),Category
-Food: PHP 0.00 (0%)
-Transportation: PHP 0.00 (0%)
-Supplies: PHP 0.00 (0%)
-Utilities: PHP 0.00 (0%)
-Personal: PHP 0.00 (0%)
-Other: PHP 0.00 (0%)
+// Where the shared ledger was kept before ledgers were split per user and
+// chat, e.g. expenses/kwentako_data_<timestamp>.csv in Vercel Blob
+const SHARED_LEGACY_LEDGER_PATH = "kwentako_data.csv";
 
-`;
+/**
+ * Reads the records of a ledger saved in the old CSV format, if any. The
+ * personal ledger of LEGACY_LEDGER_OWNER_ID falls back to the old shared
+ * ledger, so it is migrated there the first time that ledger changes.
+ */
+const readLegacyRecords = async (ledgerId) => {
+  const stored =
+    (await storage.read(getLegacyLedgerPath(ledgerId))) ||
+    (LEGACY_LEDGER_OWNER_ID && ledgerId === `user_${LEGACY_LEDGER_OWNER_ID}`
+      ? await storage.read(SHARED_LEGACY_LEDGER_PATH)
+      : null);
+  return stored ? parseLegacyLedgerCsv(stored.content) : [];
 };
 
 /**
- * Generates complete CSV with data, metadata and statistics
+ * Reads a ledger's records from storage.
+ * @param {string} ledgerId - The ledger to read (see getLedgerId).
+ * @returns {object} { records, version } where version is 0 if the ledger was never saved.
  */
-const generateCompleteCSV = (expenseRecords) => {
-  const now = new Date();
-  const timestamp = now.toISOString();
+const readLedger = async (ledgerId) => {
+  const stored = await storage.read(getLedgerPath(ledgerId));
 
-  // Calculate statistics
-  const total = expenseRecords.reduce((sum, record) => sum + record.amount, 0);
-  const categoryTotals = {};
-  const categories = [
-    "Food",
-    "Transportation",
-    "Supplies",
-    "Utilities",
-    "Personal",
-    "Other",
-  ];
+  // Not saved in the JSON format yet: fall back to the old CSV
+  if (!stored) {
+    console.log("No JSON ledger found, reading legacy CSV");
+    return { records: await readLegacyRecords(ledgerId), version: 0 };
+  }
 
-  // Initialize categories
-  categories.forEach((cat) => (categoryTotals[cat] = 0));
+  return { records: parseLedger(stored.content), version: stored.version };
+};
 
-  // Calculate category totals
-  expenseRecords.forEach((record) => {
-    categoryTotals[record.category] =
-      (categoryTotals[record.category] || 0) + record.amount;
-  });
+/**
+ * Applies a change to a ledger's records and saves them.
+ * Concurrent updates are retried on top of each other, so `update` may run
+ * more than once and must only depend on the records it is given.
+ * @param {string} ledgerId - The ledger to update (see getLedgerId).
+ * @param {Function} update - (existingRecords) => updatedRecords
+ * @returns {object} The storage metadata and the saved `records`.
+ */
+const updateLedger = async (ledgerId, update) => {
+  let records = [];
+  let changed = false;
+  const result = await updateDocument(
+    storage,
+    getLedgerPath(ledgerId),
+    (content) => {
+      const existingRecords = parseLedger(content);
+      records = update(existingRecords);
+      // Returning the same array means "no change", so skip the rewrite
+      changed = records !== existingRecords;
+      return changed ? serializeLedger(records) : content;
+    },
+    {
+      // The first save migrates the old CSV ledger, if there is one
+      initialContent: async () =>
+        serializeLedger(await readLegacyRecords(ledgerId)),
+      contentType: "application/json",
+      keepHistory: true, // For /history and /restore
+    }
+  );
 
-  // Generate category breakdown with percentages
-  const categoryBreakdown = categories
-    .map((cat) => {
-      const amount = categoryTotals[cat] || 0;
-      const percentage =
-        total > 0 ? ((amount / total) * 100).toFixed(1) : "0.0";
-      return `${cat}: PHP ${amount.toFixed(2)} (${percentage}%)`;
-    })
-    .join("\n");
+  console.log(
+    `Saved ledger ${ledgerId} version ${result.version} to ${storage.name} storage`
+  );
+  if (changed) await mirrorLedgerToSheet(ledgerId, records);
+  return { ...result, records };
+};
+
+/**
+ * Appends new records to a ledger. Safe to call twice with the same records
+ * (e.g. a double-tapped Save button): records already saved from the same
+ * batch are skipped, and only genuine ID collisions get a new ID.
+ * @returns {object} The storage metadata and the saved `records`.
+ */
+const appendRecords = (ledgerId, newRecords) =>
+  updateLedger(ledgerId, (existingRecords) => {
+    const existingById = new Map(existingRecords.map((r) => [r.id, r]));
+    const toAdd = newRecords.filter((record) => {
+      const existing = existingById.get(record.id);
+      return !existing || existing.batch !== record.batch;
+    });
+
+    // Re-roll the (unlikely) IDs that collide with existing records
+    toAdd.forEach((record) => {
+      while (existingById.has(record.id)) record.id = generateRecordId();
+      existingById.set(record.id, record);
+    });
+    return [...existingRecords, ...toAdd];
+  });
 
-  // Generate CSV header with metadata
-  const header = `KwentaKo Expense Tracker
-Generated: ${timestamp}
-Creator: ${CREATOR_NAME}
-Total Expenses: PHP ${total.toFixed(2)}
-Total Records: ${expenseRecords.length}
+/**
+ * Merges imported records into a ledger, leaving out those already in it.
+ * Duplicates are checked again on save since the ledger may have changed
+ * after the preview, which also makes a double-tapped Import button harmless.
+ * @returns {object} The storage metadata, the saved `records` and the `added` ones.
+ */
+const importRecords = async (ledgerId, importedRecords) => {
+  let added = [];
+  const result = await updateLedger(ledgerId, (existingRecords) => {
+    added = removeDuplicates(existingRecords, importedRecords);
+    if (added.length === 0) return existingRecords;
+
+    const existingIds = new Set(existingRecords.map((r) => r.id));
+    added.forEach((record) => {
+      while (existingIds.has(record.id)) record.id = generateRecordId();
+      existingIds.add(record.id);
+    });
+    return [...existingRecords, ...added];
+  });
+  return { ...result, added };
+};
 
-CATEGORY BREAKDOWN:
-${categoryBreakdown}
+/**
+ * Returns the storage path of the records emptied out of a ledger by
+ * /clearData. Each clear is saved as a version of it, so the newest
+ * KEEP_VERSIONS of them are kept however often the ledger changes.
+ */
+const getClearedLedgerPath = (ledgerId) =>
+  `${getLedgerFolder(ledgerId)}cleared.json`;
 
-Date,Description,Amount (PHP),Category`;
+/**
+ * Archives the records a /clearData emptied out of a ledger.
+ * @returns {object} The storage metadata of the archive.
+ */
+const archiveClearedRecords = (ledgerId, records) =>
+  updateDocument(
+    storage,
+    getClearedLedgerPath(ledgerId),
+    () => serializeLedger(records),
+    { contentType: "application/json" }
+  );
 
-  // Generate data rows
-  const dataRows = expenseRecords.map(
-    (record) =>
-      `${record.date},"${record.description}",${record.amount},${record.category}`
+/**
+ * Reads the newest saved versions of a ledger, for /history. Versions are
+ * kept for HISTORY_RETENTION_DAYS (see lib/storage/paths.js).
+ * @param {number} limit - Most versions to read.
+ * @param {string} [path] - The document to read, the ledger by default.
+ * @returns {Array<object>} { version, createdAt, records }, newest first.
+ */
+const readLedgerHistory = async (
+  ledgerId,
+  limit,
+  path = getLedgerPath(ledgerId)
+) => {
+  const versions = (await storage.listVersions(path)).slice(0, limit);
+  const history = await Promise.all(
+    versions.map(async ({ version, createdAt }) => {
+      const stored = await storage.readVersion(path, version);
+      return (
+        stored && { version, createdAt, records: parseLedger(stored.content) }
+      );
+    })
   );
+  // A version may have been pruned since it was listed
+  return history.filter(Boolean);
+};
 
-  return [header, ...dataRows].join("\n") + "\n";
+/**
+ * Returns the storage path of a ledger's linked Google Sheet.
+ */
+const getSheetLinkPath = (ledgerId) => `${getLedgerFolder(ledgerId)}sheet.json`;
+
+/**
+ * Reads the Google Sheet linked to a ledger.
+ * @returns {object|null} { spreadsheetId, worksheet }, or null if none is linked.
+ */
+const readSheetLink = async (ledgerId) => {
+  const stored = await storage.read(getSheetLinkPath(ledgerId));
+  const link = stored ? JSON.parse(stored.content) : null;
+  return link && link.spreadsheetId ? link : null;
 };
 
 /**
- * Parses existing CSV content and extracts expense records
+ * Links a Google Sheet to a ledger, or unlinks it when `link` is null.
+ */
+const saveSheetLink = (ledgerId, link) =>
+  updateDocument(
+    storage,
+    getSheetLinkPath(ledgerId),
+    () => JSON.stringify(link || { spreadsheetId: null }, null, 2),
+    { initialContent: () => "{}", contentType: "application/json" }
+  );
+
+/**
+ * Copies a ledger's records to its linked Google Sheet, if any. The ledger
+ * in storage stays the source of truth, so a failed sync is only logged and
+ * can be repaired later with /resync.
  */
-const parseExistingCSV = (csvContent) => {
-  const lines = csvContent.split("\n");
-  const expenses = [];
+const mirrorLedgerToSheet = async (ledgerId, records) => {
+  if (!isSheetsConfigured()) return;
 
-  let inDataSection = false;
+  try {
+    const link = await readSheetLink(ledgerId);
+    if (link) await writeSheetRecords(link.spreadsheetId, records, link);
+  } catch (error) {
+    console.error(`Sheet sync failed for ${ledgerId}:`, error.message);
+  }
+};
 
-  for (const line of lines) {
-    const trimmedLine = line.trim();
+/**
+ * Returns the storage path of a ledger's monthly budgets.
+ */
+const getBudgetsPath = (ledgerId) => `${getLedgerFolder(ledgerId)}budgets.json`;
 
-    // Skip empty lines and comments
-    if (!trimmedLine || trimmedLine.startsWith("#")) {
-      continue;
-    }
+/**
+ * Reads a ledger's monthly budgets: { total, categories: { [category]: limit } }.
+ */
+const readBudgets = async (ledgerId) => {
+  const stored = await storage.read(getBudgetsPath(ledgerId));
+  return { ...EMPTY_BUDGETS, ...(stored ? JSON.parse(stored.content) : {}) };
+};
 
-    // Check if we've reached the header row
-    if (trimmedLine.startsWith("Date,Description,Amount")) {
-      inDataSection = true;
-      continue;
+/**
+ * Applies a change to a ledger's monthly budgets.
+ * @param {Function} update - (budgets) => updatedBudgets
+ * @returns {object} The updated budgets.
+ */
+const updateBudgets = async (ledgerId, update) => {
+  const { content } = await updateDocument(
+    storage,
+    getBudgetsPath(ledgerId),
+    (current) =>
+      JSON.stringify(
+        update({ ...EMPTY_BUDGETS, ...JSON.parse(current) }),
+        null,
+        2
+      ),
+    {
+      initialContent: () => JSON.stringify(EMPTY_BUDGETS),
+      contentType: "application/json",
     }
+  );
+  return JSON.parse(content);
+};
 
-    // Parse data rows
-    if (inDataSection && trimmedLine) {
-      const parts = trimmedLine.split(",");
-      if (parts.length >= 4) {
-        const date = parts[0];
-        const description = parts[1].replace(/"/g, ""); // Remove quotes
-        const amount = parseFloat(parts[2]);
-        const category = parts[3];
+/**
+ * Returns the storage path of a ledger's custom categories and merchant
+ * rules. Like settings, they live outside the ledger folder so that
+ * /clearData keeps them.
+ */
+const getCategoryConfigPath = (ledgerId) => `categories/${ledgerId}.json`;
 
-        if (!isNaN(amount)) {
-          expenses.push({ date, description, amount, category });
-        }
-      }
+/**
+ * Reads a ledger's custom categories and merchant rules.
+ * @returns {object} { custom, rules } (see EMPTY_CATEGORY_CONFIG)
+ */
+const readCategoryConfig = async (ledgerId) => {
+  const stored = await storage.read(getCategoryConfigPath(ledgerId));
+  return {
+    ...EMPTY_CATEGORY_CONFIG,
+    ...(stored ? JSON.parse(stored.content) : {}),
+  };
+};
+
+/**
+ * Applies a change to a ledger's custom categories and merchant rules.
+ * @param {Function} update - (config) => updatedConfig
+ * @returns {object} The updated config.
+ */
+const updateCategoryConfig = async (ledgerId, update) => {
+  const { content } = await updateDocument(
+    storage,
+    getCategoryConfigPath(ledgerId),
+    (current) =>
+      JSON.stringify(
+        update({ ...EMPTY_CATEGORY_CONFIG, ...JSON.parse(current) }),
+        null,
+        2
+      ),
+    {
+      initialContent: () => JSON.stringify(EMPTY_CATEGORY_CONFIG),
+      contentType: "application/json",
     }
+  );
+  return JSON.parse(content);
+};
+
+/**
+ * Learns merchant rules from expenses the user moved to another category.
+ * Errors are only logged: the expenses are already saved.
+ * @param {Array<object>} changes - { description, category } of each recategorized expense.
+ */
+const learnCategoryRules = async (ledgerId, changes) => {
+  try {
+    await updateCategoryConfig(ledgerId, (config) =>
+      changes.reduce(
+        (current, { description, category }) =>
+          learnRule(current, description, category),
+        config
+      )
+    );
+  } catch (error) {
+    console.error(`Could not learn category rules for ${ledgerId}:`, error);
   }
+};
 
-  return expenses;
+// Users and chats let in with /allow (see EMPTY_ACCESS)
+const ACCESS_PATH = "access/users.json";
+
+/**
+ * Reads the users and chats let in with /allow.
+ */
+const readAccess = async () => {
+  const stored = await storage.read(ACCESS_PATH);
+  return stored ? JSON.parse(stored.content) : EMPTY_ACCESS;
 };
 
-// -------------------------------------------------------------------
-// 4. VERCEL BLOB HELPERS
-// -------------------------------------------------------------------
+/**
+ * Applies a change to the users and chats let in with /allow.
+ * @param {Function} update - (access) => updatedAccess
+ * @returns {object} The updated access.
+ */
+const updateAccess = async (update) => {
+  const { content } = await updateDocument(
+    storage,
+    ACCESS_PATH,
+    (current) => JSON.stringify(update(JSON.parse(current)), null, 2),
+    {
+      initialContent: () => JSON.stringify(EMPTY_ACCESS),
+      contentType: "application/json",
+    }
+  );
+  return JSON.parse(content);
+};
+
+// Latest rates from the provider, shared by every ledger and refreshed daily
+const RATES_CACHE_PATH = "rates/latest.json";
 
 /**
- * Reads the existing CSV content from the Vercel Blob store.
- * @returns {string} The raw CSV content.
+ * Returns the storage path of the exchange rates a ledger set with /rates.
+ * Like categories, they live outside the ledger folder.
  */
-const readBlobContent = async () => {
-  try {
-    // Method 1: List blobs and find the most recent one
-    const { blobs } = await list({
-      token: BLOB_READ_WRITE_TOKEN,
-      prefix: "expenses/kwentako_data_", // Look for our timestamped files
-    });
+const getCustomRatesPath = (ledgerId) => `rates/${ledgerId}.json`;
+
+/**
+ * Returns the provider's rates, fetched at most once a day (or on refresh).
+ * When the provider fails, the last rates fetched are used.
+ * @returns {object} { asOf, source, rates, fetchedOn } where rates are pesos per unit.
+ */
+const readProviderRates = async ({ refresh = false } = {}) => {
+  const today = getManilaDate();
+  const stored = await storage.read(RATES_CACHE_PATH);
+  const cached = stored ? JSON.parse(stored.content) : null;
+  if (cached && cached.fetchedOn === today && !refresh) return cached;
 
-    console.log(
-      "Listed blobs:",
-      blobs?.map((b) => ({ pathname: b.pathname, uploadedAt: b.uploadedAt }))
+  try {
+    const latest = { ...(await rateProvider.fetchRates()), fetchedOn: today };
+    await updateDocument(
+      storage,
+      RATES_CACHE_PATH,
+      () => JSON.stringify(latest, null, 2),
+      { contentType: "application/json" }
     );
+    return latest;
+  } catch (error) {
+    console.error("Could not fetch exchange rates:", error);
+    return cached || { asOf: null, source: null, rates: {}, fetchedOn: null };
+  }
+};
 
-    // Find the most recent blob (highest timestamp)
-    let targetBlob = null;
-    if (blobs && blobs.length > 0) {
-      // Sort by upload date (most recent first)
-      const sortedBlobs = blobs.sort(
-        (a, b) => new Date(b.uploadedAt) - new Date(a.uploadedAt)
-      );
-      targetBlob = sortedBlobs[0]; // Get the most recent one
-    }
+/**
+ * Reads the rates a ledger set with /rates: { [currency]: pesos per unit }.
+ */
+const readCustomRates = async (ledgerId) => {
+  const stored = await storage.read(getCustomRatesPath(ledgerId));
+  return stored ? JSON.parse(stored.content) : {};
+};
 
-    // If no blob found, return initial CSV with metadata
-    if (!targetBlob) {
-      console.log("No existing blob found, returning default CSV");
-      return generateInitialCSV();
-    }
+/**
+ * Applies a change to the rates a ledger set with /rates.
+ * @param {Function} update - (rates) => updatedRates
+ * @returns {object} The updated rates.
+ */
+const updateCustomRates = async (ledgerId, update) => {
+  const { content } = await updateDocument(
+    storage,
+    getCustomRatesPath(ledgerId),
+    (current) => JSON.stringify(update(JSON.parse(current)), null, 2),
+    { initialContent: () => "{}", contentType: "application/json" }
+  );
+  return JSON.parse(content);
+};
 
-    console.log("Found most recent blob:", {
-      pathname: targetBlob.pathname,
-      url: targetBlob.url,
-      uploadedAt: targetBlob.uploadedAt,
-    });
+/**
+ * Returns the rates used to convert a ledger's expenses: its own rates from
+ * /rates, then the provider's.
+ * @returns {object} { [currency]: pesos per unit }
+ */
+const getExchangeRates = async (ledgerId) => {
+  const [provider, custom] = await Promise.all([
+    readProviderRates(),
+    readCustomRates(ledgerId),
+  ]);
+  return { ...provider.rates, ...custom };
+};
+
+const DEFAULT_SETTINGS = {
+  reviewMode: false, // Hold parsed expenses as drafts until confirmed
+  ...DEFAULT_DIGEST_SETTINGS, // Scheduled digests and nudges (see /digest)
+  accounts: [], // Accounts added with /accounts, besides DEFAULT_ACCOUNTS
+  defaultAccount: null, // Account of expenses that don't say how they were paid
+};
 
-    // Fetch the content from the URL with cache-busting
-    const response = await fetch(targetBlob.url + "?t=" + Date.now());
+/**
+ * Returns the storage path of a user's settings. Settings live outside the
+ * ledger folders so that /clearData doesn't reset them.
+ */
+const getSettingsPath = (userId) => `settings/user_${userId}.json`;
+
+/**
+ * Reads a user's settings, filled in with the defaults.
+ */
+const readSettings = async (userId) => {
+  const stored = await storage.read(getSettingsPath(userId));
+  return { ...DEFAULT_SETTINGS, ...(stored ? JSON.parse(stored.content) : {}) };
+};
 
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+/**
+ * Merges changes into a user's settings.
+ * Concurrent updates are retried on top of each other, so a function
+ * `changes` may run more than once.
+ * @param {object|Function} changes - The changes, or (settings) => changes
+ *   for changes that depend on the current settings (null for none).
+ * @returns {object} The updated settings.
+ */
+const updateSettings = async (userId, changes) => {
+  const { content } = await updateDocument(
+    storage,
+    getSettingsPath(userId),
+    (current) => {
+      const stored = JSON.parse(current);
+      const resolved =
+        typeof changes === "function"
+          ? changes({ ...DEFAULT_SETTINGS, ...stored })
+          : changes;
+      return resolved
+        ? JSON.stringify({ ...stored, ...resolved }, null, 2)
+        : current;
+    },
+    {
+      initialContent: () => JSON.stringify(DEFAULT_SETTINGS),
+      contentType: "application/json",
     }
+  );
+  return { ...DEFAULT_SETTINGS, ...JSON.parse(content) };
+};
 
-    const content = await response.text();
-    console.log("Successfully read blob content, length:", content.length);
-    console.log("Content preview:", content.substring(0, 200) + "...");
-    return content;
-  } catch (listError) {
-    console.error(
-      "List method failed, trying getDownloadUrl:",
-      listError.message
-    );
+// Users who get digests or nudges, so the scheduled job knows whom to message
+const DIGEST_INDEX_PATH = "digest/users.json";
 
-    // Method 2: Fallback to getDownloadUrl
-    try {
-      const downloadUrl = await getDownloadUrl(BLOB_FILE_KEY, {
-        token: BLOB_READ_WRITE_TOKEN,
+/**
+ * Adds a user to the digest job's index, or removes them.
+ */
+const updateDigestIndex = (userId, included) =>
+  updateDocument(
+    storage,
+    DIGEST_INDEX_PATH,
+    (current) => {
+      const userIds = JSON.parse(current).filter((id) => id !== userId);
+      return JSON.stringify(included ? [...userIds, userId] : userIds);
+    },
+    { initialContent: () => "[]", contentType: "application/json" }
+  );
+
+// Unconfirmed drafts are dropped after a day
+const DRAFT_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Returns the storage path of the pending drafts of a ledger.
+ */
+const getDraftsPath = (ledgerId) => `${getLedgerFolder(ledgerId)}drafts.json`;
+
+/**
+ * Reads the pending drafts of a ledger.
+ */
+const readDrafts = async (ledgerId) => {
+  const stored = await storage.read(getDraftsPath(ledgerId));
+  return stored ? JSON.parse(stored.content) : {};
+};
+
+/**
+ * Applies a change to the pending drafts of a ledger, dropping expired ones.
+ * Drafts are stored as { [draftId]: { userId, createdAt, records } }.
+ * @param {Function} update - (drafts) => updatedDrafts
+ * @returns {object} The updated drafts.
+ */
+const updateDrafts = async (ledgerId, update) => {
+  const { content } = await updateDocument(
+    storage,
+    getDraftsPath(ledgerId),
+    (current) => {
+      const drafts = { ...JSON.parse(current) };
+      Object.keys(drafts).forEach((draftId) => {
+        if (Date.now() - new Date(drafts[draftId].createdAt) > DRAFT_TTL_MS) {
+          delete drafts[draftId];
+        }
       });
+      return JSON.stringify(update(drafts), null, 2);
+    },
+    { initialContent: () => "{}", contentType: "application/json" }
+  );
+  return JSON.parse(content);
+};
 
-      console.log("Got download URL:", downloadUrl);
+/**
+ * Removes a draft and returns it, or null if it no longer exists.
+ * Only the user who created the draft can take it.
+ */
+const takeDraft = async (ctx, draftId) => {
+  let draft = null;
+  await updateDrafts(getLedgerId(ctx), (drafts) => {
+    draft = drafts[draftId] || null;
+    if (!draft || draft.userId !== ctx.from.id) return drafts;
+    const { [draftId]: taken, ...rest } = drafts;
+    return rest;
+  });
+  return draft;
+};
 
-      // Add cache-busting parameter
-      const response = await fetch(downloadUrl + "?t=" + Date.now());
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
+/**
+ * Returns the storage path of a ledger's recurring expenses.
+ */
+const getRecurringPath = (ledgerId) =>
+  `${getLedgerFolder(ledgerId)}recurring.json`;
 
-      const content = await response.text();
-      console.log(
-        "Successfully read blob content via downloadUrl, length:",
-        content.length
-      );
-      return content;
-    } catch (downloadError) {
-      console.error("Both methods failed:", downloadError.message);
+// Ledgers that have recurring expenses, so the scheduled job knows where to look
+const RECURRING_INDEX_PATH = "recurring/ledgers.json";
 
-      // If the file doesn't exist or we can't access it, return the initial header row
-      if (
-        downloadError.message.includes("404") ||
-        downloadError.message.includes("file not found") ||
-        downloadError.message.includes("BlobNotFoundError") ||
-        downloadError.message.includes("Invalid URL") ||
-        listError.message.includes("404") ||
-        listError.message.includes("file not found")
-      ) {
-        console.log("Blob doesn't exist, returning default CSV");
-        return generateInitialCSV();
-      }
+/**
+ * Reads a ledger's recurring expenses.
+ * @returns {Array<object>} { id, description, amount, category, account, frequency, day, startDate, lastLogged, createdBy }
+ */
+const readRecurring = async (ledgerId) => {
+  const stored = await storage.read(getRecurringPath(ledgerId));
+  return stored ? JSON.parse(stored.content) : [];
+};
+
+/**
+ * Applies a change to a ledger's recurring expenses and keeps the ledger's
+ * entry in the scheduled job's index up to date.
+ * @param {Function} update - (items) => updatedItems
+ * @returns {Array<object>} The updated items.
+ */
+const updateRecurring = async (ledgerId, update) => {
+  const { content } = await updateDocument(
+    storage,
+    getRecurringPath(ledgerId),
+    (current) => JSON.stringify(update(JSON.parse(current)), null, 2),
+    { initialContent: () => "[]", contentType: "application/json" }
+  );
+  const items = JSON.parse(content);
+  await updateRecurringIndex(ledgerId, items.length > 0);
+  return items;
+};
+
+/**
+ * Adds a ledger to the scheduled job's index, or removes it.
+ */
+const updateRecurringIndex = (ledgerId, included) =>
+  updateDocument(
+    storage,
+    RECURRING_INDEX_PATH,
+    (current) => {
+      const ledgerIds = JSON.parse(current).filter((id) => id !== ledgerId);
+      return JSON.stringify(included ? [...ledgerIds, ledgerId] : ledgerIds);
+    },
+    { initialContent: () => "[]", contentType: "application/json" }
+  );
+
+/**
+ * Returns the storage path of a group's shared expenses and settlements.
+ */
+const getSplitsPath = (ledgerId) => `${getLedgerFolder(ledgerId)}splits.json`;
+
+/**
+ * Reads a group's shared expenses and settlements (see EMPTY_SPLITS).
+ */
+const readSplits = async (ledgerId) => {
+  const stored = await storage.read(getSplitsPath(ledgerId));
+  return stored ? JSON.parse(stored.content) : EMPTY_SPLITS;
+};
 
-      throw new Error(`Blob Read Error: ${downloadError.message}`);
+/**
+ * Applies a change to a group's splits (retried on concurrent updates).
+ * @param {Function} update - (splits) => updatedSplits
+ * @returns {object} The updated splits.
+ */
+const updateSplits = async (ledgerId, update) => {
+  const { content } = await updateDocument(
+    storage,
+    getSplitsPath(ledgerId),
+    (current) => JSON.stringify(update(JSON.parse(current)), null, 2),
+    {
+      initialContent: () => JSON.stringify(EMPTY_SPLITS),
+      contentType: "application/json",
     }
-  }
+  );
+  return JSON.parse(content);
 };
 
+// -------------------------------------------------------------------
+// 5. RECORD HELPERS
+// -------------------------------------------------------------------
+
 /**
- * Writes the updated CSV data back to Vercel Blob.
- * @param {string} newContent - The full, updated CSV content.
- * @returns {object} The blob metadata, including the public URL.
+ * Formats one record as a line for chat replies. Foreign currency amounts
+ * show what was paid next to the pesos, e.g. "USD 15.00 = PHP 871.50".
  */
-const writeBlobContent = async (newContent) => {
-  console.log("Writing content to blob, length:", newContent.length);
+const formatRecordLine = (record) =>
+  `<code>${record.id}</code> ${escapeHtml(record.date)} • ${escapeHtml(
+    record.description
+  )} — ${
+    formatOriginalAmount(record) ? `${formatOriginalAmount(record)} = ` : ""
+  }${isIncome(record) ? "+" : ""}PHP ${record.amount.toFixed(2)} (${escapeHtml(
+    record.category
+  )}${record.account ? ` · ${escapeHtml(record.account)}` : ""})`;
 
-  try {
-    // SOLUTION: Use unique filename each time to guarantee fresh URL
-    const timestamp = Date.now();
-    const uniqueFilename = `expenses/kwentako_data_${timestamp}.csv`;
+/**
+ * Returns the batch ID shared by every record logged from one message.
+ * It starts with the sender's ID so /undo can find their last message.
+ */
+const getBatchId = (ctx) => `${ctx.from.id}:${ctx.message.message_id}`;
 
-    console.log("Creating blob with unique filename:", uniqueFilename);
+/**
+ * In group ledgers, members may only change the records they logged.
+ * Records logged before batches existed can be changed by anyone.
+ */
+const canModifyRecord = (ctx, record) =>
+  !ctx.chat ||
+  ctx.chat.type === "private" ||
+  !record.batch ||
+  record.batch.startsWith(`${ctx.from.id}:`);
 
-    const newBlob = await put(uniqueFilename, newContent, {
-      token: BLOB_READ_WRITE_TOKEN,
-      access: "public",
-      contentType: "text/csv",
-    });
+/**
+ * Applies a change to a single record of a ledger.
+ * @param {object} ctx - The Telegraf context (used for the ledger and permissions).
+ * @param {string} recordId - The record to change.
+ * @param {Function|null} change - (record) => updatedRecord, or null to delete it.
+ * @returns {object} { status: "ok" | "not_found" | "forbidden", before, after }
+ */
+const changeRecord = async (ctx, recordId, change) => {
+  let outcome;
+  await updateLedger(getLedgerId(ctx), (records) => {
+    const record = records.find((r) => r.id === recordId.toLowerCase());
+    if (!record) {
+      outcome = { status: "not_found" };
+      return records;
+    }
+    if (!canModifyRecord(ctx, record)) {
+      outcome = { status: "forbidden", before: record };
+      return records;
+    }
 
-    console.log("Successfully created new blob:", {
-      url: newBlob.url,
-      pathname: newBlob.pathname,
-    });
+    const after = change ? change({ ...record }) : null;
+    outcome = { status: "ok", before: record, after };
+    return after
+      ? records.map((r) => (r === record ? after : r))
+      : records.filter((r) => r !== record);
+  });
+  return outcome;
+};
 
-    // Optional: Clean up old files (keep last 5)
-    try {
-      const { blobs } = await list({
-        token: BLOB_READ_WRITE_TOKEN,
-        prefix: "expenses/kwentako_data_",
-      });
+/**
+ * Builds the inline keyboard shown under freshly logged expenses.
+ */
+const buildRecordsKeyboard = (records) =>
+  Markup.inlineKeyboard(
+    records
+      .slice(0, 10)
+      .map((record) => [
+        Markup.button.callback(
+          `🗑️ ${record.description.substring(0, 20)}`,
+          `del:${record.id}`
+        ),
+        Markup.button.callback("🏷️ Category", `cat:${record.id}`),
+      ])
+  );
 
-      if (blobs && blobs.length > 5) {
-        // Sort by upload date and keep only the newest 5
-        const sortedBlobs = blobs.sort(
-          (a, b) => new Date(b.uploadedAt) - new Date(a.uploadedAt)
-        );
-        const blobsToDelete = sortedBlobs.slice(5); // Delete older ones
-
-        for (const oldBlob of blobsToDelete) {
-          try {
-            await del(oldBlob.pathname, { token: BLOB_READ_WRITE_TOKEN });
-            console.log("Cleaned up old blob:", oldBlob.pathname);
-          } catch (cleanupError) {
-            console.log(
-              "Cleanup failed for:",
-              oldBlob.pathname,
-              cleanupError.message
-            );
-          }
-        }
-      }
-    } catch (cleanupError) {
-      console.log(
-        "Cleanup process failed (non-critical):",
-        cleanupError.message
+/**
+ * Builds the "✅ Added N new expenses" confirmation shown after saving,
+ * including what is left of the affected monthly budgets.
+ */
+const formatAddedMessage = (newRecords, allRecords, budgets) => {
+  const budgetAlerts = budgets
+    ? formatBudgetAlerts(allRecords, budgets, getManilaDate(), newRecords)
+    : "";
+
+  const newExpenses = getExpenses(newRecords);
+  const newIncome = newRecords.filter(isIncome);
+  const allExpenses = getExpenses(allRecords);
+  const added = [
+    (newExpenses.length > 0 || newIncome.length === 0) &&
+      `${newExpenses.length} new expenses (PHP ${sumAmounts(
+        newExpenses
+      ).toFixed(2)})`,
+    newIncome.length > 0 &&
+      `${newIncome.length} income (+PHP ${sumAmounts(newIncome).toFixed(2)})`,
+  ]
+    .filter(Boolean)
+    .join(" and ");
+
+  // Format datetime in human-readable English
+  const updateTime = new Date().toLocaleString("en-US", {
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+    hour12: true,
+    timeZone: "Asia/Manila",
+  });
+
+  return (
+    `✅ Added ${added}\n` +
+    `📊 Total expenses: ${allExpenses.length} records (PHP ${sumAmounts(
+      allExpenses
+    ).toFixed(2)})\n\n` +
+    newRecords.map(formatRecordLine).join("\n") +
+    `\n\n` +
+    (budgetAlerts ? `${budgetAlerts}\n\n` : "") +
+    `📥 Download CSV: /export\n` +
+    `🔍 Updated: ${updateTime}`
+  );
+};
+
+/**
+ * Builds the message that shows a draft waiting for review.
+ */
+const formatDraftMessage = (draft, note = "") => {
+  const total = draft.records.reduce((acc, curr) => acc + curr.amount, 0);
+  return (
+    `📝 <b>Review ${draft.records.length} expense(s) (PHP ${total.toFixed(
+      2
+    )})</b>\n` +
+    (note ? `${note}\n` : "") +
+    `\n` +
+    (draft.records.length > 0
+      ? draft.records.map(formatRecordLine).join("\n")
+      : "<i>No expenses left in this draft.</i>") +
+    `\n\nNothing is saved until you tap ✅ Save.`
+  );
+};
+
+/**
+ * Builds the ✅ Save / ✏️ Edit / ❌ Discard keyboard of a draft.
+ * In edit mode each record gets its own remove / recategorize buttons.
+ */
+const buildDraftKeyboard = (draftId, draft, editing = false) => {
+  const rows = editing
+    ? draft.records
+        .slice(0, 10)
+        .map((record) => [
+          Markup.button.callback(
+            `🗑️ ${record.description.substring(0, 20)}`,
+            `dftdel:${draftId}:${record.id}`
+          ),
+          Markup.button.callback(
+            "🏷️ Category",
+            `dftcat:${draftId}:${record.id}`
+          ),
+        ])
+    : [];
+  rows.push([
+    Markup.button.callback("✅ Save", `draft:save:${draftId}`),
+    ...(editing
+      ? []
+      : [Markup.button.callback("✏️ Edit", `draft:edit:${draftId}`)]),
+    Markup.button.callback("❌ Discard", `draft:discard:${draftId}`),
+  ]);
+  return Markup.inlineKeyboard(rows);
+};
+
+/**
+ * Applies a change to a single record of one of the user's drafts.
+ * Mirrors changeRecord() so /edit works on drafts too.
+ * @returns {object} { status: "ok" | "not_found", before, after, draftId, draft }
+ */
+const changeDraftRecord = async (ctx, recordId, change, draftId = null) => {
+  let outcome = { status: "not_found" };
+  await updateDrafts(getLedgerId(ctx), (drafts) => {
+    outcome = { status: "not_found" };
+    for (const [id, draft] of Object.entries(drafts)) {
+      if (draftId && id !== draftId) continue;
+      if (draft.userId !== ctx.from.id) continue;
+
+      const record = draft.records.find((r) => r.id === recordId.toLowerCase());
+      if (!record) continue;
+
+      const after = change ? change({ ...record }) : null;
+      const updatedDraft = {
+        ...draft,
+        records: after
+          ? draft.records.map((r) => (r === record ? after : r))
+          : draft.records.filter((r) => r !== record),
+      };
+      outcome = {
+        status: "ok",
+        before: record,
+        after,
+        draftId: id,
+        draft: updatedDraft,
+      };
+      return { ...drafts, [id]: updatedDraft };
+    }
+    return drafts;
+  });
+  return outcome;
+};
+
+// -------------------------------------------------------------------
+// 6. Bot Commands and Handlers
+// -------------------------------------------------------------------
+
+/**
+ * Tells the user which currencies have no exchange rate yet.
+ * @param {Array<string>} missing - Currency codes, from convertToPesos().
+ */
+const replyWithMissingRates = (ctx, missing) =>
+  ctx.reply(
+    `❌ I don't have an exchange rate for ${missing.join(", ")}. ` +
+      `Set one with /rates ${missing[0]} <pesos per 1 ${missing[0]}>, then send it again.`
+  );
+
+/**
+ * Saves freshly parsed records the same way for every kind of input (text,
+ * receipt photo...): converts foreign currency amounts to pesos, gives them
+ * IDs, holds them as a draft in review mode (or when the offline parser had
+ * to guess), otherwise appends them to the ledger and replies with the
+ * confirmation.
+ * @param {object} ctx - The Telegraf context of the incoming message.
+ * @param {Array<object>} parsedRecords - Records with date, description, amount (in `currency`, pesos if none) and category.
+ * @param {object} [options]
+ * @param {string} [options.note] - Extra line shown above the records (HTML).
+ */
+const logNewRecords = async (ctx, parsedRecords, { note = "" } = {}) => {
+  const userId = ctx.from.id;
+  const ledgerId = getLedgerId(ctx);
+
+  // Reports stay in pesos; the amount actually paid is kept alongside
+  const { records: newRecords, missing } = convertToPesos(
+    parsedRecords,
+    needsConversion(parsedRecords) ? await getExchangeRates(ledgerId) : {}
+  );
+  if (missing.length > 0) {
+    return replyWithMissingRates(ctx, missing);
+  }
+
+  // Give every record a stable ID and tie them to this message for /undo,
+  // and fill in the sender's default account where none was mentioned
+  const settings = await readSettings(userId);
+  const accounts = getAccounts(settings);
+  const batch = getBatchId(ctx);
+  newRecords.forEach((record) => {
+    record.account = resolveRecordAccount(
+      record.account,
+      accounts,
+      settings.defaultAccount
+    );
+    record.id = generateRecordId();
+    record.batch = batch;
+  });
+
+  // Check if manual parsing was used (fallback indicator)
+  const isManualParsing = newRecords.some(
+    (record) => record.amount === 0 || record.description === "Manual entry"
+  );
+
+  // IN REVIEW MODE (OR FOR SHAKY MANUAL PARSES), HOLD AS A DRAFT
+  if (settings.reviewMode || isManualParsing) {
+    const draftId = generateRecordId();
+    const draft = {
+      userId,
+      createdAt: new Date().toISOString(),
+      records: newRecords,
+    };
+    await updateDrafts(ledgerId, (drafts) => ({
+      ...drafts,
+      [draftId]: draft,
+    }));
+
+    const notes = [
+      note,
+      isManualParsing
+        ? "⚠️ The AI was unavailable, so I guessed. Please double-check."
+        : "",
+    ].filter(Boolean);
+    return ctx.replyWithHTML(
+      formatDraftMessage(draft, notes.join("\n")),
+      buildDraftKeyboard(draftId, draft)
+    );
+  }
+
+  // APPEND TO THE LEDGER (retried on top of any concurrent update)
+  const writeResult = await appendRecords(ledgerId, newRecords);
+  console.log("Total records after adding new:", writeResult.records.length);
+
+  const budgets = await readBudgets(ledgerId);
+
+  await ctx.replyWithHTML(
+    (note ? `${note}\n\n` : "") +
+      formatAddedMessage(newRecords, writeResult.records, budgets),
+    buildRecordsKeyboard(newRecords)
+  );
+};
+
+// Shared expenses need the other members, so they only work in groups
+const SPLITS_GROUP_ONLY =
+  "🤝 Splitting expenses works in group chats. Add me to your group and send it there.";
+
+/**
+ * Returns how a member is shown in split replies (HTML-escaped). Members
+ * without a username also show their "#id", which /settle accepts.
+ */
+const formatMemberName = (splits, member) => {
+  const name = splits.names[member] || member;
+  return escapeHtml(
+    member.startsWith("#") && name !== member ? `${name} (${member})` : name
+  );
+};
+
+/**
+ * Saves a shared expense from a group chat, paid by the sender and split
+ * evenly between them and everyone mentioned, and replies with the shares.
+ * It is kept in the group's splits, not in anyone's ledger.
+ * @param {object} ctx - The Telegraf context of the incoming message.
+ * @param {object} split - A parseSplitMessage() result.
+ */
+const logSplitExpense = async (ctx, split) => {
+  const { description, members } = split;
+  if (ctx.chat.type === "private") {
+    return ctx.reply(SPLITS_GROUP_ONLY);
+  }
+
+  const payer = getMemberKey(ctx.from);
+  const sharers = [payer, ...members.filter((member) => member !== payer)];
+  if (!split.amount || sharers.length < 2) {
+    return ctx.reply(
+      '🤝 Say how much and who with, e.g. "dinner 2400 split with @ana @ben".'
+    );
+  }
+  if (sharers.length > MAX_SPLIT_MEMBERS) {
+    return ctx.reply(
+      `❌ An expense can be split between up to ${MAX_SPLIT_MEMBERS} people.`
+    );
+  }
+
+  // Shares are in pesos, like every other amount
+  const {
+    records: [paid],
+    missing,
+  } = convertToPesos(
+    [split],
+    needsConversion([split]) ? await getExchangeRates(getLedgerId(ctx)) : {}
+  );
+  if (missing.length > 0) {
+    return replyWithMissingRates(ctx, missing);
+  }
+  const { amount } = paid;
+
+  const entry = {
+    id: generateRecordId(),
+    type: "expense",
+    date: getManilaDate(),
+    description,
+    amount,
+    ...(paid.currency !== BASE_CURRENCY && {
+      originalAmount: paid.originalAmount,
+      currency: paid.currency,
+      rate: paid.rate,
+    }),
+    paidBy: payer,
+    shares: splitEvenly(amount, sharers),
+    batch: getBatchId(ctx),
+  };
+  const splits = await updateSplits(getLedgerId(ctx), (current) => ({
+    names: {
+      ...Object.fromEntries(members.map((member) => [member, member])),
+      ...current.names,
+      [payer]: getMemberName(ctx.from),
+    },
+    entries: [...current.entries, entry],
+  }));
+
+  await ctx.replyWithHTML(
+    `🤝 Shared expense <code>${entry.id}</code>: ${escapeHtml(description)} — ${
+      entry.currency ? `${escapeHtml(formatOriginalAmount(entry))} = ` : ""
+    }<b>${formatPeso(amount)}</b>
+` +
+      `Paid by ${formatMemberName(splits, payer)}, split ${sharers.length} ways:
+` +
+      sharers
+        .map(
+          (member) =>
+            `• ${formatMemberName(splits, member)}: ${formatPeso(
+              entry.shares[member]
+            )}`
+        )
+        .join("\n") +
+      `\n\nSee /owed for who owes whom.`
+  );
+};
+
+/**
+ * Replies with a friendly message for an error raised while parsing or
+ * saving expenses.
+ */
+const replyWithProcessingError = (ctx, error) => {
+  console.error("Critical Storage/Gemini Error:", error);
+
+  // Check if it's a Gemini API error
+  if (
+    error.message.includes("503") ||
+    error.message.includes("overloaded") ||
+    error.message.includes("UNAVAILABLE")
+  ) {
+    ctx.reply(
+      "🚫 The AI service is temporarily overloaded. Please try again in a few minutes. " +
+        "This is a temporary issue with Google's servers."
+    );
+  } else if (
+    error.message.includes("rate limit") ||
+    error.message.includes("429")
+  ) {
+    ctx.reply(
+      "⏳ Rate limit exceeded. Please wait a moment before sending another expense."
+    );
+  } else if (
+    error.message.includes("Blob") ||
+    error.message.includes("Failed to write")
+  ) {
+    ctx.reply(
+      "💾 There was an issue saving your data. Please try again or contact support."
+    );
+  } else {
+    ctx.reply(
+      "❌ An unexpected error occurred. Please try again later. " +
+        "If the problem persists, please contact support."
+    );
+  }
+};
+
+/**
+ * Downloads a file that a user sent to the bot.
+ * @returns {Buffer} The file content.
+ */
+const downloadTelegramFile = async (ctx, fileId) => {
+  const fileUrl = await ctx.telegram.getFileLink(fileId);
+  const response = await fetch(fileUrl.href);
+  if (!response.ok) {
+    throw new Error(
+      `Telegram download failed: HTTP ${response.status}: ${response.statusText}`
+    );
+  }
+  return Buffer.from(await response.arrayBuffer());
+};
+
+// Once admins are set, only admins and allowed users (or allowed groups) get
+// past this point; strangers are told how to ask for access
+bot.use(async (ctx, next) => {
+  if (!ctx.from || !isAccessControlled(ACCESS_CONFIG)) return next();
+
+  const chatId = ctx.chat ? ctx.chat.id : null;
+  const access = await readAccess();
+  if (hasAccess(ACCESS_CONFIG, access, { userId: ctx.from.id, chatId })) {
+    return next();
+  }
+
+  console.log(`Refused update from user ${ctx.from.id} in chat ${chatId}`);
+  if (ctx.callbackQuery) {
+    return ctx.answerCbQuery("🔒 You don't have access to this bot.");
+  }
+  // Groups aren't answered, so the bot doesn't talk over the conversation
+  if (ctx.message && ctx.chat.type === "private") {
+    return ctx.reply(
+      `🔒 This bot is private. Ask an admin to run /allow ${ctx.from.id}`
+    );
+  }
+});
+
+const ADMIN_ONLY = "🚫 Only the bot's admins can do that.";
+
+// How long a /clearData confirmation button works
+const CLEAR_CONFIRM_TTL_MS = 10 * 60 * 1000;
+
+// Versions listed by /history
+const HISTORY_LIMIT = 10;
+
+/**
+ * Tells whether the sender may clear or restore this chat's ledger: bot
+ * admins can, anyone can for their own private ledger, and in groups only
+ * the group's administrators can.
+ */
+const canClearLedger = async (ctx) => {
+  if (isAdmin(ACCESS_CONFIG, ctx.from.id) || ctx.chat.type === "private") {
+    return true;
+  }
+  const member = await ctx.getChatMember(ctx.from.id);
+  return ["creator", "administrator"].includes(member.status);
+};
+
+/**
+ * Works out who /allow or /revoke is about: a user ID ("/allow 12345 Ana"),
+ * the sender of the message being replied to, or this group ("/allow chat").
+ * @returns {object|null} { id, name }, or null if the arguments don't say.
+ */
+const resolveAccessTarget = (ctx) => {
+  const [first = "", ...rest] = ctx.payload.trim().split(/\s+/).filter(Boolean);
+  const reply = ctx.message.reply_to_message;
+
+  if (first.toLowerCase() === "chat" && ctx.chat.type !== "private") {
+    return { id: ctx.chat.id, name: ctx.chat.title || "this group" };
+  }
+  if (/^-?\d+$/.test(first)) {
+    return { id: Number(first), name: rest.join(" ") };
+  }
+  if (!first && reply && reply.from && !reply.from.is_bot) {
+    return {
+      id: reply.from.id,
+      name: reply.from.username
+        ? `@${reply.from.username}`
+        : reply.from.first_name || "",
+    };
+  }
+  return null;
+};
+
+const ACCESS_USAGE =
+  "Usage: /allow <user id> [name], or reply to someone's message with /allow. " +
+  "In a group, /allow chat lets everyone in it use the bot there. /revoke works the same way.";
+
+// Let a user or group in: /allow <user id> [name], /allow (as a reply), /allow chat
+bot.command("allow", async (ctx) => {
+  if (!isAdmin(ACCESS_CONFIG, ctx.from.id)) {
+    return ctx.reply(ADMIN_ONLY);
+  }
+  const target = resolveAccessTarget(ctx);
+  if (!target) {
+    return ctx.reply(ACCESS_USAGE);
+  }
+
+  try {
+    await updateAccess((access) =>
+      allow(access, {
+        ...target,
+        addedBy: ctx.from.id,
+        addedAt: new Date().toISOString(),
+      })
+    );
+    await ctx.reply(
+      `✅ ${target.name || target.id} (${target.id}) can now use the bot.`
+    );
+  } catch (error) {
+    console.error("Allow error:", error);
+    ctx.reply(`❌ Error updating access: ${error.message}`);
+  }
+});
+
+// Take access away: /revoke <user id>, /revoke (as a reply), /revoke chat
+bot.command("revoke", async (ctx) => {
+  if (!isAdmin(ACCESS_CONFIG, ctx.from.id)) {
+    return ctx.reply(ADMIN_ONLY);
+  }
+  const target = resolveAccessTarget(ctx);
+  if (!target) {
+    return ctx.reply(ACCESS_USAGE);
+  }
+  if (isAdmin(ACCESS_CONFIG, target.id)) {
+    return ctx.reply(
+      "❌ Admins are set in ADMIN_USER_IDS and can't be revoked here."
+    );
+  }
+
+  try {
+    let removed = null;
+    await updateAccess((access) => {
+      removed = access.allowed.find((entry) => entry.id === target.id) || null;
+      return revoke(access, target.id);
+    });
+    await ctx.reply(
+      removed
+        ? `🗑️ ${removed.name || removed.id} (${
+            removed.id
+          }) can no longer use the bot.`
+        : ACCESS_CONFIG.allowed.includes(target.id)
+        ? `❌ ${target.id} is allowed in ALLOWED_USER_IDS; remove them there.`
+        : `${target.id} wasn't on the allowlist.`
+    );
+  } catch (error) {
+    console.error("Revoke error:", error);
+    ctx.reply(`❌ Error updating access: ${error.message}`);
+  }
+});
+
+// Who can use the bot: /users
+bot.command("users", async (ctx) => {
+  if (!isAdmin(ACCESS_CONFIG, ctx.from.id)) {
+    return ctx.reply(ADMIN_ONLY);
+  }
+
+  try {
+    const access = await readAccess();
+    const formatEntry = ({ id, name }) =>
+      `• <code>${id}</code>${name ? ` ${escapeHtml(name)}` : ""}${
+        id < 0 ? " (group)" : ""
+      }`;
+
+    await ctx.replyWithHTML(
+      `👥 <b>Admins</b> (ADMIN_USER_IDS):\n` +
+        ACCESS_CONFIG.admins.map((id) => formatEntry({ id })).join("\n") +
+        (ACCESS_CONFIG.allowed.length > 0
+          ? `\n\n<b>Allowed in ALLOWED_USER_IDS:</b>\n` +
+            ACCESS_CONFIG.allowed.map((id) => formatEntry({ id })).join("\n")
+          : "") +
+        `\n\n<b>Allowed with /allow:</b>\n` +
+        (access.allowed.length > 0
+          ? access.allowed.map(formatEntry).join("\n")
+          : "Nobody yet.")
+    );
+  } catch (error) {
+    console.error("Users error:", error);
+    ctx.reply(`❌ Error reading access: ${error.message}`);
+  }
+});
+
+bot.start(async (ctx) => {
+  const welcomeMessage = `
+👋 Welcome to KwentaKo!
+    
+Simply send me your expenses. I will log them to secure storage and send you the updated download link.
+
+❓ You can also ask about your spending, e.g. "magkano nagastos ko sa food this month?" or "what was my biggest expense last week?"
+
+🧾 You can also send a photo of a receipt or a voice note (e.g. "jeep 13, tapos kape 95") and I'll log it for you.
+
+📥 Have older expenses? Send a CSV file (a spreadsheet, or a GCash, Maya or BPI export) and I'll import it after you confirm.
+
+🔒 Your expenses are kept in your own ledger. When I'm added to a group chat, the group gets its own shared ledger.
+
+📝 *Available Commands:*
+• Send expense messages (e.g., "lunch 150 pesos")
+• \`/report [today|week|month|last month]\` - Spending summary (or \`/report 2026-09-01 2026-09-30\`)
+• \`/balance [period]\` - Income minus expenses (this month unless you say otherwise); log income like "sweldo 25000"
+• \`/budget Food 6000\` - Set a monthly budget (\`/budget total 20000\` for everything, \`/budget\` to check)
+• \`/list\` - Show your latest expenses and their IDs
+• \`/edit <id> amount 180\` - Change an expense (amount, category, description or date)
+• \`/delete <id>\` - Remove one expense
+• \`/undo\` - Remove everything from your last message
+• \`/recurring add "Rent" 15000 Utilities monthly on 5\` - Log bills automatically (\`/recurring\` to list, \`/recurring remove <id>\`)
+• \`/digest on|weekly|off\` - Get a daily or weekly spending digest (\`/digest nudge on\` for an evening reminder)
+• \`/categories add Pets\` - Add your own category (\`/categories\` to list, \`/categories remove Pets\`)
+• \`/rules add Jollibee Food\` - Always file a merchant under a category (\`/rules\` to list); changing an expense's category teaches me too
+• \`/accounts default GCash\` - Track how you paid (cash, GCash, Maya, card...); \`/accounts\` shows this month's totals
+• \`dinner 2400 split with @ana @ben\` - In a group, share an expense (\`/owed\` shows who owes whom, \`/settle @ana 800\` records a payment)
+• \`/rates USD 58.20\` - Set the exchange rate for expenses in other currencies, e.g. "ramen 1500 yen" (\`/rates\` to list)
+• \`/review on|off\` - Confirm parsed expenses before they are saved
+• \`/sheet <link>\` - Mirror this ledger to a Google Sheet (\`/resync\` to rebuild it)
+• \`/export [csv|xlsx|json|ofx|qif|html|summary] [period] [category]\` - Download your expenses (e.g. \`/export html last month\`)
+• \`/verify\` - Check current data status
+• \`/history\` - Saved versions of this ledger (\`/restore <version>\` rolls back to one)
+• \`/clearData\` - Clear all expenses in this ledger (asks first, and /restore can undo it)
+
+✨ *Created by ${CREATOR_NAME}*
+    `;
+  ctx.replyWithMarkdown(welcomeMessage);
+});
+
+// Add verification command
+bot.command("verify", async (ctx) => {
+  try {
+    const ledgerId = getLedgerId(ctx);
+    const { records, version } = await readLedger(ledgerId);
+    const preview = generateLedgerCsv(records.slice(-10));
+
+    await ctx.replyWithHTML(
+      `🔍 <b>Current Ledger Status:</b>\n` +
+        `📊 Total records: ${records.length}\n` +
+        `🗂️ Schema version: ${LEDGER_SCHEMA_VERSION}, saved version: ${version}\n\n` +
+        `📥 Download: /export\n\n` +
+        `<code>${escapeHtml(preview.substring(0, 1000))}${
+          preview.length > 1000 ? "..." : ""
+        }</code>`
+    );
+  } catch (error) {
+    ctx.reply(`❌ Error reading ledger: ${error.message}`);
+  }
+});
+
+// Download the ledger: /export [format] [period] [category]
+bot.command("export", async (ctx) => {
+  const ledgerId = getLedgerId(ctx);
+
+  try {
+    const categories = getCategories(await readCategoryConfig(ledgerId));
+    const options = parseExportArgs(ctx.payload, getManilaDate(), categories);
+    if (!options) {
+      return ctx.reply(
+        `Usage: /export [${Object.keys(EXPORT_FORMATS).join(
+          " | "
+        )}] [today | week | month | last month | <from> <to>] [category]\n` +
+          "Example: /export xlsx last month Food"
+      );
+    }
+
+    const { records } = await readLedger(ledgerId);
+    const { filename, content, count } = await buildExport(records, {
+      ...options,
+      categories,
+      creator: CREATOR_NAME,
+      ledgerId,
+    });
+
+    await ctx.replyWithDocument(
+      { source: Buffer.from(content), filename },
+      {
+        caption:
+          `📊 ${count} record(s)` +
+          (options.period
+            ? ` from ${formatDateRange(
+                options.period.start,
+                options.period.end
+              )}`
+            : "") +
+          (options.category ? ` in ${options.category}` : ""),
+      }
+    );
+  } catch (error) {
+    console.error("Export error:", error);
+    ctx.reply(`❌ Error exporting ledger: ${error.message}`);
+  }
+});
+
+// Clear the ledger, after confirming with a button. The records are
+// archived (see getClearedLedgerPath), so /restore can bring them back.
+bot.command("clearData", async (ctx) => {
+  try {
+    if (!(await canClearLedger(ctx))) {
+      return ctx.reply(
+        "🚫 Only the group's administrators can clear a group ledger."
+      );
+    }
+
+    const { records } = await readLedger(getLedgerId(ctx));
+    if (records.length === 0) {
+      return ctx.reply(
+        "✅ No data found to clear. This ledger is already empty."
+      );
+    }
+
+    await ctx.replyWithHTML(
+      `⚠️ <b>Clear this ledger?</b>\n\n` +
+        `This removes all ${records.length} record(s) and any pending drafts. ` +
+        `Budgets, recurring expenses, categories and settings are kept.\n\n` +
+        `🗄️ The records are archived in /history, so /restore can bring them back.`,
+      Markup.inlineKeyboard([
+        Markup.button.callback("🗑️ Yes, clear it", `clear:yes:${ctx.from.id}`),
+        Markup.button.callback("❌ Cancel", `clear:no:${ctx.from.id}`),
+      ])
+    );
+  } catch (error) {
+    console.error("Clear data error:", error);
+    await ctx.reply(
+      `❌ Error clearing data: ${error.message}\n` +
+        `Please try again or contact support if the issue persists.`
+    );
+  }
+});
+
+// /clearData confirmation buttons: 🗑️ Yes / ❌ Cancel
+bot.action(/^clear:(yes|no):(\d+)$/, async (ctx) => {
+  const [, action, userId] = ctx.match;
+
+  try {
+    if (Number(userId) !== ctx.from.id) {
+      return ctx.answerCbQuery(
+        "🚫 Only the person who asked can confirm this."
+      );
+    }
+
+    if (action === "no") {
+      await ctx.answerCbQuery("❌ Cancelled");
+      return ctx.editMessageText("❌ Cancelled. Nothing was cleared.");
+    }
+
+    // message.date is when the confirmation was sent, in seconds
+    const { date } = ctx.callbackQuery.message;
+    if (Date.now() - date * 1000 > CLEAR_CONFIRM_TTL_MS) {
+      await ctx.answerCbQuery("⌛ Expired");
+      return ctx.editMessageText(
+        "⌛ This confirmation expired. Send /clearData again."
+      );
+    }
+
+    if (!(await canClearLedger(ctx))) {
+      return ctx.answerCbQuery(
+        "🚫 Only the group's administrators can clear a group ledger."
+      );
+    }
+
+    const ledgerId = getLedgerId(ctx);
+    let cleared = [];
+    const { previousVersion } = await updateLedger(ledgerId, (records) => {
+      cleared = records;
+      return records.length > 0 ? [] : records;
+    });
+    await updateDrafts(ledgerId, () => ({}));
+
+    await ctx.answerCbQuery("🗑️ Cleared");
+    if (cleared.length === 0) {
+      return ctx.editMessageText(
+        "✅ No data found to clear. This ledger is already empty."
+      );
+    }
+
+    // The version before the clear also has them, until it is pruned
+    let restoreTarget = previousVersion;
+    try {
+      const { version } = await archiveClearedRecords(ledgerId, cleared);
+      restoreTarget = `c${version}`;
+    } catch (error) {
+      console.error(`Archiving cleared ledger ${ledgerId} failed:`, error);
+    }
+
+    await ctx.editMessageText(
+      `🗑️ Cleared ${cleared.length} record(s). You can now start fresh.\n\n` +
+        `↩️ Changed your mind? /restore ${restoreTarget} brings them back (see /history).`
+    );
+  } catch (error) {
+    console.error("Clear data button error:", error);
+    ctx.answerCbQuery("❌ Something went wrong, please try again.");
+  }
+});
+
+// Saved versions of the ledger: /history
+bot.command("history", async (ctx) => {
+  try {
+    const ledgerId = getLedgerId(ctx);
+    const [history, cleared] = await Promise.all([
+      readLedgerHistory(ledgerId, HISTORY_LIMIT),
+      readLedgerHistory(
+        ledgerId,
+        KEEP_VERSIONS,
+        getClearedLedgerPath(ledgerId)
+      ),
+    ]);
+    if (history.length === 0 && cleared.length === 0) {
+      return ctx.reply("📭 Nothing saved yet.");
+    }
+
+    const formatVersion = ({ label, createdAt, records, note = "" }) => {
+      const savedAt = new Date(createdAt).toLocaleString("en-US", {
+        month: "short",
+        day: "numeric",
+        hour: "numeric",
+        minute: "2-digit",
+        timeZone: "Asia/Manila",
+      });
+      return (
+        `• <b>${label}</b> — ${savedAt} — ${records.length} record(s), ` +
+        `${formatPeso(sumAmounts(getExpenses(records)))} spent${note}`
+      );
+    };
+    const lines = history.map((entry, index) =>
+      formatVersion({
+        ...entry,
+        label: entry.version,
+        note: index === 0 ? " (current)" : "",
+      })
+    );
+    const clearedLines = cleared.map((entry) =>
+      formatVersion({ ...entry, label: `c${entry.version}` })
+    );
+
+    await ctx.replyWithHTML(
+      `🕘 <b>Ledger history</b>\n\n` +
+        lines.join("\n") +
+        (clearedLines.length > 0
+          ? `\n\n🗄️ <b>Cleared with /clearData</b>\n` + clearedLines.join("\n")
+          : "") +
+        `\n\n↩️ Roll back with /restore &lt;version&gt;. ` +
+        `Versions are kept for ${HISTORY_RETENTION_DAYS} days (at most ${MAX_HISTORY_VERSIONS}), ` +
+        `and the last ${KEEP_VERSIONS} cleared ledgers until they are replaced.`
+    );
+  } catch (error) {
+    console.error("History error:", error);
+    ctx.reply(`❌ Error reading history: ${error.message}`);
+  }
+});
+
+// Roll the ledger back to a saved version: /restore <version>, or
+// /restore c<version> for a ledger emptied by /clearData
+bot.command("restore", async (ctx) => {
+  const match = ctx.payload.trim().match(/^(c?)(\d+)$/i);
+  if (!match) {
+    return ctx.reply(
+      "Usage: /restore <version>\nSee /history for the saved versions."
+    );
+  }
+  const isCleared = match[1] !== "";
+  const version = `${isCleared ? "c" : ""}${match[2]}`;
+
+  try {
+    if (!(await canClearLedger(ctx))) {
+      return ctx.reply(
+        "🚫 Only the group's administrators can restore a group ledger."
+      );
+    }
+
+    const ledgerId = getLedgerId(ctx);
+    const [stored, current] = await Promise.all([
+      storage.readVersion(
+        isCleared ? getClearedLedgerPath(ledgerId) : getLedgerPath(ledgerId),
+        Number(match[2])
+      ),
+      readLedger(ledgerId),
+    ]);
+    if (!stored) {
+      return ctx.reply(
+        `❌ Version ${version} isn't kept anymore. See /history for the saved versions.`
+      );
+    }
+
+    const restored = parseLedger(stored.content);
+    if (serializeLedger(restored) === serializeLedger(current.records)) {
+      return ctx.reply(
+        `✅ The ledger already matches version ${version}. Nothing to restore.`
+      );
+    }
+
+    // Saved as a new version, so the restore itself can be undone
+    const result = await updateLedger(ledgerId, () => restored);
+    await ctx.reply(
+      `♻️ Restored version ${version}: ${restored.length} record(s).\n\n` +
+        `↩️ Changed your mind? /restore ${result.previousVersion} undoes this.`
+    );
+  } catch (error) {
+    console.error("Restore error:", error);
+    ctx.reply(`❌ Error restoring ledger: ${error.message}`);
+  }
+});
+
+// List the latest records with their IDs
+bot.command("list", async (ctx) => {
+  try {
+    const limit = Math.min(parseInt(ctx.payload, 10) || 10, 50);
+    const { records } = await readLedger(getLedgerId(ctx));
+
+    if (records.length === 0) {
+      return ctx.reply("📭 No expenses logged yet.");
+    }
+
+    const latest = records.slice(-limit);
+    await ctx.replyWithHTML(
+      `🧾 <b>Latest ${latest.length} of ${records.length} expenses:</b>\n\n` +
+        latest.map(formatRecordLine).join("\n") +
+        `\n\n✏️ Use /edit &lt;id&gt; amount 180 or /delete &lt;id&gt;`
+    );
+  } catch (error) {
+    console.error("List error:", error);
+    ctx.reply(`❌ Error reading ledger: ${error.message}`);
+  }
+});
+
+// Edit one field of a record: /edit <id> <field> <value>
+bot.command("edit", async (ctx) => {
+  const [recordId, field, ...rest] = ctx.payload.trim().split(/\s+/);
+  const value = rest.join(" ");
+  const usage =
+    "Usage: /edit <id> <field> <value>\n" +
+    "Fields: amount, category, account, description, date, type\n" +
+    "Example: /edit a3f9c2 amount 180";
+
+  if (!recordId || !field || !value) {
+    return ctx.reply(usage);
+  }
+
+  let updates;
+  let categoryConfig; // Set when an income record becomes an expense
+  switch (field.toLowerCase()) {
+    case "amount": {
+      // In the record's own currency, converted at the rate it was logged with
+      const amount = parseFloat(value.replace(/[^\d.-]/g, ""));
+      if (isNaN(amount) || amount <= 0) {
+        return ctx.reply("❌ Amount must be a positive number.");
+      }
+      updates = { originalAmount: amount };
+      break;
+    }
+    case "category": {
+      const categories = getCategories(
+        await readCategoryConfig(getLedgerId(ctx))
+      );
+      const category = findCategory(categories, value);
+      if (!category) {
+        return ctx.reply(
+          `❌ Unknown category. Use one of: ${categories.join(", ")}`
+        );
+      }
+      // A spending category makes an income record an expense
+      updates = { category, type: "expense" };
+      break;
+    }
+    case "type": {
+      const type = value.toLowerCase();
+      if (!["expense", "income"].includes(type)) {
+        return ctx.reply('❌ Type must be "expense" or "income".');
+      }
+      updates = { type };
+      if (type === "income") {
+        updates.category = INCOME_CATEGORY;
+      } else {
+        categoryConfig = await readCategoryConfig(getLedgerId(ctx));
+      }
+      break;
+    }
+    case "account": {
+      const accounts = getAccounts(await readSettings(ctx.from.id));
+      const account =
+        value.toLowerCase() === "none" ? "" : findAccount(accounts, value);
+      if (account === undefined) {
+        return ctx.reply(
+          `❌ Unknown account. Use one of: ${accounts.join(
+            ", "
+          )}, or "none". Add more with /accounts add <name>.`
+        );
+      }
+      updates = { account };
+      break;
+    }
+    case "description":
+      updates = { description: value };
+      break;
+    case "date": {
+      const date =
+        normalizeDate(value) ||
+        (parseDateExpression(value, getManilaDate()) || {}).date;
+      if (!date) {
+        return ctx.reply(
+          "❌ I couldn't read that date. Try 2026-10-05, Oct 5 or yesterday."
+        );
+      }
+      updates = { date };
+      break;
+    }
+    default:
+      return ctx.reply(usage);
+  }
+
+  try {
+    const applyUpdates = (record) => ({
+      ...(updates.originalAmount === undefined
+        ? record
+        : setOriginalAmount(record, updates.originalAmount)),
+      ...updates,
+      ...(categoryConfig && record.category === INCOME_CATEGORY
+        ? { category: guessCategory(record.description, categoryConfig) }
+        : {}),
+    });
+    const { status, before, after } = await changeRecord(
+      ctx,
+      recordId,
+      applyUpdates
+    );
+
+    if (status === "not_found") {
+      // The expense may still be waiting for review
+      const drafted = await changeDraftRecord(ctx, recordId, applyUpdates);
+      if (drafted.status === "ok") {
+        if (
+          updates.category &&
+          updates.category !== INCOME_CATEGORY &&
+          updates.category !== drafted.before.category
+        ) {
+          await learnCategoryRules(getLedgerId(ctx), [drafted.after]);
+        }
+        return ctx.replyWithHTML(
+          `✏️ Updated draft:\n${formatRecordLine(drafted.after)}\n\n` +
+            `Tap ✅ Save on the draft to keep it.`
+        );
+      }
+      return ctx.reply(`❌ No expense with ID ${recordId}. See /list.`);
+    }
+    if (status === "forbidden") {
+      return ctx.reply("🚫 You can only edit expenses you logged yourself.");
+    }
+
+    if (
+      updates.category &&
+      updates.category !== INCOME_CATEGORY &&
+      updates.category !== before.category
+    ) {
+      await learnCategoryRules(getLedgerId(ctx), [after]);
+    }
+    await ctx.replyWithHTML(`✏️ Updated:\n${formatRecordLine(after)}`);
+  } catch (error) {
+    console.error("Edit error:", error);
+    ctx.reply(`❌ Error updating expense: ${error.message}`);
+  }
+});
+
+// Delete one record: /delete <id>
+bot.command("delete", async (ctx) => {
+  const recordId = ctx.payload.trim();
+  if (!recordId) {
+    return ctx.reply("Usage: /delete <id>\nFind IDs with /list.");
+  }
+
+  try {
+    const { status, before } = await changeRecord(ctx, recordId, null);
+
+    if (status === "not_found") {
+      return ctx.reply(`❌ No expense with ID ${recordId}. See /list.`);
+    }
+    if (status === "forbidden") {
+      return ctx.reply("🚫 You can only delete expenses you logged yourself.");
+    }
+
+    await ctx.replyWithHTML(`🗑️ Deleted:\n${formatRecordLine(before)}`);
+  } catch (error) {
+    console.error("Delete error:", error);
+    ctx.reply(`❌ Error deleting expense: ${error.message}`);
+  }
+});
+
+// Remove every record logged from the sender's last expense message
+bot.command("undo", async (ctx) => {
+  try {
+    let removed = [];
+    await updateLedger(getLedgerId(ctx), (records) => {
+      const lastOwn = [...records]
+        .reverse()
+        .find((r) => r.batch && r.batch.startsWith(`${ctx.from.id}:`));
+      removed = lastOwn ? records.filter((r) => r.batch === lastOwn.batch) : [];
+      return lastOwn
+        ? records.filter((r) => r.batch !== lastOwn.batch)
+        : records;
+    });
+
+    if (removed.length === 0) {
+      return ctx.reply("🤷 Nothing to undo.");
+    }
+
+    await ctx.replyWithHTML(
+      `↩️ Removed ${removed.length} expense(s) from your last message:\n` +
+        removed.map(formatRecordLine).join("\n")
+    );
+  } catch (error) {
+    console.error("Undo error:", error);
+    ctx.reply(`❌ Error undoing: ${error.message}`);
+  }
+});
+
+// Inline button: remove a freshly logged record
+bot.action(/^del:(\w+)$/, async (ctx) => {
+  const recordId = ctx.match[1];
+  try {
+    const { status, before } = await changeRecord(ctx, recordId, null);
+
+    if (status !== "ok") {
+      return ctx.answerCbQuery(
+        status === "forbidden"
+          ? "🚫 You can only remove expenses you logged yourself."
+          : "Already removed."
+      );
+    }
+
+    await ctx.answerCbQuery("🗑️ Removed");
+
+    // Drop the removed record's row from the keyboard
+    const rows = ctx.callbackQuery.message.reply_markup.inline_keyboard.filter(
+      (row) => !row.some((button) => button.callback_data === `del:${recordId}`)
+    );
+    await ctx.editMessageReplyMarkup({ inline_keyboard: rows });
+    await ctx.replyWithHTML(`🗑️ Removed:\n${formatRecordLine(before)}`);
+  } catch (error) {
+    console.error("Remove button error:", error);
+    ctx.answerCbQuery("❌ Could not remove the expense.");
+  }
+});
+
+// Inline button: show the category picker for a record
+bot.action(/^cat:(\w+)$/, async (ctx) => {
+  const recordId = ctx.match[1];
+  try {
+    const categories = getCategories(
+      await readCategoryConfig(getLedgerId(ctx))
+    );
+    await ctx.answerCbQuery();
+    await ctx.reply(
+      `🏷️ Pick a new category for ${recordId}:`,
+      Markup.inlineKeyboard(
+        categories.map((cat) =>
+          Markup.button.callback(cat, `setcat:${recordId}:${cat}`)
+        ),
+        { columns: 3 }
+      )
+    );
+  } catch (error) {
+    console.error("Category picker error:", error);
+    ctx.answerCbQuery("❌ Could not load the categories.");
+  }
+});
+
+// Inline button: apply the picked category (and learn it for next time)
+bot.action(/^setcat:(\w+):(.+)$/, async (ctx) => {
+  const [, recordId, name] = ctx.match;
+  const ledgerId = getLedgerId(ctx);
+  try {
+    const category = findCategory(
+      getCategories(await readCategoryConfig(ledgerId)),
+      name
+    );
+    if (!category) {
+      return ctx.answerCbQuery("That category no longer exists.");
+    }
+
+    const { status, before, after } = await changeRecord(
+      ctx,
+      recordId,
+      (record) => ({ ...record, category, type: "expense" })
+    );
+
+    if (status !== "ok") {
+      return ctx.answerCbQuery(
+        status === "forbidden"
+          ? "🚫 You can only change expenses you logged yourself."
+          : "That expense no longer exists."
+      );
+    }
+
+    if (before.category !== category) {
+      await learnCategoryRules(ledgerId, [after]);
+    }
+    await ctx.answerCbQuery(`🏷️ Moved to ${after.category}`);
+    await ctx.editMessageText(`🏷️ Updated:\n${formatRecordLine(after)}`, {
+      parse_mode: "HTML",
+    });
+  } catch (error) {
+    console.error("Category button error:", error);
+    ctx.answerCbQuery("❌ Could not change the category.");
+  }
+});
+
+// Spending report: /report [today|week|month|last month|<from> <to>]
+bot.command("report", async (ctx) => {
+  const period = resolveReportPeriod(ctx.payload, getManilaDate());
+  if (!period) {
+    return ctx.reply(
+      "Usage: /report [today | week | month | last month | <from> <to>]\n" +
+        "Example: /report 2026-09-01 2026-09-30"
+    );
+  }
+
+  try {
+    const { records } = await readLedger(getLedgerId(ctx));
+    const report = buildReport(records, period);
+    await ctx.replyWithHTML(formatReport(report));
+  } catch (error) {
+    console.error("Report error:", error);
+    ctx.reply(`❌ Error building report: ${error.message}`);
+  }
+});
+
+// Income minus expenses: /balance [today|week|month|last month|<from> <to>]
+bot.command("balance", async (ctx) => {
+  const period = resolveReportPeriod(ctx.payload, getManilaDate());
+  if (!period) {
+    return ctx.reply(
+      "Usage: /balance [today | week | month | last month | <from> <to>]\n" +
+        "Example: /balance last month"
+    );
+  }
+
+  try {
+    const { records } = await readLedger(getLedgerId(ctx));
+    await ctx.replyWithHTML(formatBalance(buildReport(records, period)));
+  } catch (error) {
+    console.error("Balance error:", error);
+    ctx.reply(`❌ Error reading ledger: ${error.message}`);
+  }
+});
+
+// Monthly budgets: /budget, /budget Food 6000, /budget total 20000, /budget Food off
+bot.command("budget", async (ctx) => {
+  const ledgerId = getLedgerId(ctx);
+  const args = ctx.payload.trim().split(/\s+/).filter(Boolean);
+
+  try {
+    // No arguments: show this month's status
+    if (args.length === 0) {
+      const [budgets, { records }] = await Promise.all([
+        readBudgets(ledgerId),
+        readLedger(ledgerId),
+      ]);
+      const statuses = getBudgetStatus(records, budgets, getManilaDate());
+
+      if (statuses.length === 0) {
+        return ctx.reply(
+          "💰 No budgets set yet.\n" +
+            "Set one with /budget Food 6000 or an overall limit with /budget total 20000."
+        );
+      }
+      return ctx.replyWithHTML(
+        `💰 <b>Budgets this month:</b>\n\n` +
+          statuses.map(formatBudgetLine).join("\n")
+      );
+    }
+
+    const usage =
+      "Usage: /budget <category|total> <monthly amount|off>\n" +
+      "Example: /budget Food 6000";
+    if (args.length !== 2) {
+      return ctx.reply(usage);
+    }
+
+    const [name, value] = args;
+    const isTotal = ["total", "overall", "all"].includes(name.toLowerCase());
+    const knownCategories = getCategories(await readCategoryConfig(ledgerId));
+    const category = isTotal ? null : findCategory(knownCategories, name);
+    if (!isTotal && !category) {
+      return ctx.reply(
+        `❌ Unknown category. Use one of: ${knownCategories.join(
+          ", "
+        )}, or "total".`
+      );
+    }
+
+    const removing = ["off", "none", "0"].includes(value.toLowerCase());
+    const limit = parseFloat(value.replace(/[₱,]|php/gi, ""));
+    if (!removing && (isNaN(limit) || limit <= 0)) {
+      return ctx.reply(usage);
+    }
+
+    await updateBudgets(ledgerId, (budgets) => {
+      const categories = { ...budgets.categories };
+      if (isTotal) {
+        return { ...budgets, total: removing ? null : limit };
+      }
+      if (removing) delete categories[category];
+      else categories[category] = limit;
+      return { ...budgets, categories };
+    });
+
+    const label = isTotal ? "Overall" : category;
+    await ctx.reply(
+      removing
+        ? `🗑️ Removed the ${label} budget.`
+        : `✅ ${label} budget set to PHP ${limit.toFixed(2)} per month.`
+    );
+  } catch (error) {
+    console.error("Budget error:", error);
+    ctx.reply(`❌ Error updating budgets: ${error.message}`);
+  }
+});
+
+// Google Sheets link: /sheet, /sheet <link>, /sheet off
+bot.command("sheet", async (ctx) => {
+  if (!isSheetsConfigured()) {
+    return ctx.reply("📄 Google Sheets sync is not set up for this bot.");
+  }
+
+  const ledgerId = getLedgerId(ctx);
+  const arg = ctx.payload.trim();
+
+  try {
+    if (!arg) {
+      const link = await readSheetLink(ledgerId);
+      return ctx.replyWithHTML(
+        link
+          ? `📄 This ledger is mirrored to <a href="${getSpreadsheetUrl(
+              link.spreadsheetId
+            )}">this Google Sheet</a> (worksheet "${escapeHtml(
+              link.worksheet
+            )}").\n\nUse /resync to rebuild it or /sheet off to unlink it.`
+          : `📄 No Google Sheet linked yet.\n\n` +
+              `1. Share your sheet with <code>${escapeHtml(
+                getServiceAccountEmail()
+              )}</code> as an editor\n` +
+              `2. Send /sheet &lt;link to the sheet&gt;`
+      );
+    }
+
+    if (arg.toLowerCase() === "off") {
+      await saveSheetLink(ledgerId, null);
+      return ctx.reply(
+        "📄 Google Sheet unlinked. The sheet keeps its current rows."
+      );
+    }
+
+    const spreadsheetId = parseSpreadsheetId(arg);
+    if (!spreadsheetId) {
+      return ctx.reply(
+        "Usage: /sheet <link to your Google Sheet>\n" +
+          "Example: /sheet https://docs.google.com/spreadsheets/d/abc123.../edit"
+      );
+    }
+
+    // Fill the sheet right away, which also checks that we can write to it
+    const link = { spreadsheetId, worksheet: DEFAULT_WORKSHEET };
+    const { records } = await readLedger(ledgerId);
+    const count = await writeSheetRecords(spreadsheetId, records, link);
+    await saveSheetLink(ledgerId, link);
+
+    await ctx.replyWithHTML(
+      `✅ Linked <a href="${getSpreadsheetUrl(
+        spreadsheetId
+      )}">your Google Sheet</a> and copied ${count} expense(s) to it.\n` +
+        `Every new, edited or deleted expense will be mirrored there.`
+    );
+  } catch (error) {
+    console.error("Sheet link error:", error);
+    ctx.replyWithHTML(
+      `❌ I couldn't write to that sheet: ${escapeHtml(error.message)}\n\n` +
+        `Make sure it is shared with <code>${escapeHtml(
+          getServiceAccountEmail()
+        )}</code> as an editor.`
+    );
+  }
+});
+
+// Rebuild the linked Google Sheet from the stored ledger
+bot.command("resync", async (ctx) => {
+  if (!isSheetsConfigured()) {
+    return ctx.reply("📄 Google Sheets sync is not set up for this bot.");
+  }
+
+  try {
+    const ledgerId = getLedgerId(ctx);
+    const link = await readSheetLink(ledgerId);
+    if (!link) {
+      return ctx.reply("📄 No Google Sheet linked. Use /sheet to link one.");
+    }
+
+    const { records } = await readLedger(ledgerId);
+    const count = await writeSheetRecords(link.spreadsheetId, records, link);
+    await ctx.reply(`🔄 Rebuilt your Google Sheet with ${count} expense(s).`);
+  } catch (error) {
+    console.error("Resync error:", error);
+    ctx.reply(`❌ Error syncing Google Sheet: ${error.message}`);
+  }
+});
+
+// Recurring expenses: /recurring [list], /recurring add ..., /recurring remove <id>
+bot.command("recurring", async (ctx) => {
+  const ledgerId = getLedgerId(ctx);
+  const [action = "list", ...rest] = ctx.payload
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean);
+  const args = ctx.payload.trim().slice(action.length);
+  const today = getManilaDate();
+
+  try {
+    if (action.toLowerCase() === "add") {
+      const categoryConfig = await readCategoryConfig(ledgerId);
+      const parsed = parseRecurringArgs(args, {
+        categories: getCategories(categoryConfig),
+        today,
+      });
+      if (!parsed) {
+        return ctx.reply(
+          'Usage: /recurring add "<description>" <amount> [category] [monthly|weekly|yearly] [on <day>]\n' +
+            'Examples:\n/recurring add "Rent" 15000 Utilities monthly on 5\n' +
+            "/recurring add Netflix 549 Personal monthly on 20\n" +
+            "/recurring add Badminton 400 weekly on saturday"
+        );
+      }
+
+      const item = {
+        id: generateRecordId(),
+        ...parsed,
+        category:
+          parsed.category || guessCategory(parsed.description, categoryConfig),
+        account: (await readSettings(ctx.from.id)).defaultAccount || "",
+        startDate: today, // The first entry is the next due date after today
+        lastLogged: null,
+        createdBy: ctx.from.id,
+      };
+      await updateRecurring(ledgerId, (items) => [...items, item]);
+
+      return ctx.replyWithHTML(
+        `🔁 Added <b>${escapeHtml(item.description)}</b> — ${formatPeso(
+          item.amount
+        )} (${item.category}), ${formatSchedule(item)}.\n` +
+          `📅 First entry: ${formatDate(getNextDueDate(item, today))}\n\n` +
+          `I'll log it automatically and let you know. Remove it with /recurring remove ${item.id}`
+      );
+    }
+
+    if (action.toLowerCase() === "remove") {
+      const itemId = (rest[0] || "").toLowerCase();
+      let removed = null;
+      await updateRecurring(ledgerId, (items) => {
+        removed = items.find((item) => item.id === itemId) || null;
+        return items.filter((item) => item.id !== itemId);
+      });
+
+      return ctx.replyWithHTML(
+        removed
+          ? `🗑️ Stopped <b>${escapeHtml(
+              removed.description
+            )}</b>. Entries already logged stay in your ledger.`
+          : "🔍 No recurring expense with that ID. Use /recurring list to see them."
+      );
+    }
+
+    if (action.toLowerCase() !== "list") {
+      return ctx.reply(
+        "Usage: /recurring [list] | /recurring add ... | /recurring remove <id>"
+      );
+    }
+
+    const items = await readRecurring(ledgerId);
+    if (items.length === 0) {
+      return ctx.reply(
+        '🔁 No recurring expenses yet.\nAdd one with /recurring add "Rent" 15000 Utilities monthly on 5'
+      );
+    }
+
+    await ctx.replyWithHTML(
+      `🔁 <b>Recurring expenses:</b>\n\n` +
+        items
+          .map(
+            (item) =>
+              `<code>${item.id}</code> ${escapeHtml(
+                item.description
+              )} — ${formatPeso(item.amount)} (${
+                item.category
+              }), ${formatSchedule(item)}, next ${formatDate(
+                getNextDueDate(item, item.lastLogged || today)
+              )}`
+          )
+          .join("\n") +
+        `\n\n🗑️ Use /recurring remove &lt;id&gt; to stop one.`
+    );
+  } catch (error) {
+    console.error("Recurring error:", error);
+    ctx.reply(`❌ Error updating recurring expenses: ${error.message}`);
+  }
+});
+
+// Custom categories: /categories, /categories add <name>, /categories remove <name>
+bot.command("categories", async (ctx) => {
+  const ledgerId = getLedgerId(ctx);
+  const [action = "list", value = "", ...extra] = ctx.payload
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean);
+  const usage =
+    "Usage: /categories [add <name> | remove <name>]\n" +
+    "Names are one word, e.g. /categories add Load/Data";
+
+  try {
+    if (action.toLowerCase() === "add") {
+      const name = parseCategoryName(value);
+      if (!name || extra.length > 0) return ctx.reply(usage);
+
+      const config = await readCategoryConfig(ledgerId);
+      if (findCategory([...getCategories(config), INCOME_CATEGORY], name)) {
+        return ctx.reply(`🏷️ ${name} is already a category.`);
+      }
+      if (config.custom.length >= MAX_CUSTOM_CATEGORIES) {
+        return ctx.reply(
+          `❌ You can have up to ${MAX_CUSTOM_CATEGORIES} custom categories. Remove one first.`
+        );
+      }
+
+      await updateCategoryConfig(ledgerId, (current) => ({
+        ...current,
+        custom: [
+          ...current.custom.filter(
+            (cat) => cat.toLowerCase() !== name.toLowerCase()
+          ),
+          name,
+        ],
+      }));
+      return ctx.reply(
+        `🏷️ Added ${name}. I'll use it for new expenses, and you can pick it with /edit or the 🏷️ Category button.`
+      );
+    }
+
+    if (action.toLowerCase() === "remove") {
+      const config = await readCategoryConfig(ledgerId);
+      const name = findCategory(config.custom, value);
+      if (!name) {
+        return ctx.reply(
+          findCategory(getCategories(config), value)
+            ? "❌ Built-in categories can't be removed."
+            : `❌ No custom category called ${
+                value || "that"
+              }. See /categories.`
+        );
+      }
+
+      await updateCategoryConfig(ledgerId, (current) => ({
+        ...current,
+        custom: current.custom.filter((cat) => cat !== name),
+        rules: current.rules.filter((rule) => rule.category !== name),
+      }));
+      return ctx.reply(
+        `🗑️ Removed ${name} and its merchant rules. Expenses already in ${name} keep it until you /edit them.`
+      );
+    }
+
+    if (action.toLowerCase() !== "list") return ctx.reply(usage);
+
+    const config = await readCategoryConfig(ledgerId);
+    await ctx.replyWithHTML(
+      `🏷️ <b>Categories:</b> ${escapeHtml(
+        getCategories(config).join(", ")
+      )}\n\n` +
+        (config.custom.length > 0
+          ? `Custom: ${escapeHtml(config.custom.join(", "))}\n`
+          : "Add your own with /categories add Pets\n") +
+        `Merchant rules: ${config.rules.length} (see /rules)`
+    );
+  } catch (error) {
+    console.error("Categories error:", error);
+    ctx.reply(`❌ Error updating categories: ${error.message}`);
+  }
+});
+
+// Rules shown by /rules
+const MAX_LISTED_RULES = 30;
+
+// Merchant rules: /rules, /rules add <merchant> <category>, /rules remove <merchant>
+bot.command("rules", async (ctx) => {
+  const ledgerId = getLedgerId(ctx);
+  const [action = "list", ...words] = ctx.payload
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean);
+  const usage =
+    "Usage: /rules [add <merchant> <category> | remove <merchant>]\n" +
+    "Example: /rules add Jollibee Food";
+
+  try {
+    if (action.toLowerCase() === "add") {
+      const config = await readCategoryConfig(ledgerId);
+      const category =
+        words.length >= 2 &&
+        findCategory(getCategories(config), words[words.length - 1]);
+      const keyword = normalizeMerchant(words.slice(0, -1).join(" "));
+      if (!category || !keyword) {
+        return ctx.reply(
+          `${usage}\nCategories: ${getCategories(config).join(", ")}`
+        );
+      }
+
+      await updateCategoryConfig(ledgerId, (current) =>
+        addRule(current, keyword, category)
+      );
+      return ctx.reply(
+        `✅ Expenses mentioning "${keyword}" will go to ${category}.`
+      );
+    }
+
+    if (action.toLowerCase() === "remove") {
+      const keyword = normalizeMerchant(words.join(" "));
+      let removed = false;
+      await updateCategoryConfig(ledgerId, (current) => {
+        const rules = current.rules.filter((rule) => rule.keyword !== keyword);
+        removed = rules.length < current.rules.length;
+        return { ...current, rules };
+      });
+      return ctx.reply(
+        removed
+          ? `🗑️ Removed the rule for "${keyword}".`
+          : `❌ No rule for "${keyword}". See /rules.`
+      );
+    }
+
+    if (action.toLowerCase() !== "list") return ctx.reply(usage);
+
+    const { rules } = await readCategoryConfig(ledgerId);
+    if (rules.length === 0) {
+      return ctx.reply(
+        "📏 No merchant rules yet. Add one with /rules add Jollibee Food, or move an expense to another category and I'll remember it."
+      );
+    }
+
+    const listed = [...rules].reverse().slice(0, MAX_LISTED_RULES);
+    await ctx.replyWithHTML(
+      `📏 <b>Merchant rules</b> (newest first):\n\n` +
+        listed
+          .map(
+            ({ keyword, category, learned }) =>
+              `• ${escapeHtml(keyword)} → ${escapeHtml(category)}${
+                learned ? " <i>(learned)</i>" : ""
+              }`
+          )
+          .join("\n") +
+        (rules.length > listed.length
+          ? `\n…and ${rules.length - listed.length} more.`
+          : "")
+    );
+  } catch (error) {
+    console.error("Rules error:", error);
+    ctx.reply(`❌ Error updating rules: ${error.message}`);
+  }
+});
+
+// Payment accounts: /accounts, /accounts add <name>, /accounts remove <name>,
+// /accounts default <name|off>
+bot.command("accounts", async (ctx) => {
+  const userId = ctx.from.id;
+  const [action = "list", value = "", ...extra] = ctx.payload
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean);
+  const usage =
+    "Usage: /accounts [add <name> | remove <name> | default <name|off>]\n" +
+    "Example: /accounts add BPI, /accounts default GCash";
+
+  try {
+    const settings = await readSettings(userId);
+    const accounts = getAccounts(settings);
+
+    switch (action.toLowerCase()) {
+      case "add": {
+        const name = parseAccountName(value);
+        if (!name || extra.length > 0) return ctx.reply(usage);
+
+        let outcome = "added";
+        await updateSettings(userId, (current) => {
+          if (findAccount(getAccounts(current), name)) {
+            outcome = "exists";
+            return null;
+          }
+          if (current.accounts.length >= MAX_CUSTOM_ACCOUNTS) {
+            outcome = "full";
+            return null;
+          }
+          outcome = "added";
+          return { accounts: [...current.accounts, name] };
+        });
+
+        if (outcome === "exists") {
+          return ctx.reply(`💳 ${name} is already an account.`);
+        }
+        if (outcome === "full") {
+          return ctx.reply(
+            `❌ You can add up to ${MAX_CUSTOM_ACCOUNTS} accounts. Remove one first.`
+          );
+        }
+        return ctx.reply(
+          `💳 Added ${name}. Mention it in a message (e.g. "groceries 1200 ${name}") or make it your default with /accounts default ${name}.`
+        );
+      }
+
+      case "remove": {
+        let removed = null;
+        await updateSettings(userId, (current) => {
+          removed = findAccount(current.accounts, value) || null;
+          if (!removed) return null;
+          return {
+            accounts: current.accounts.filter((account) => account !== removed),
+            defaultAccount:
+              current.defaultAccount === removed
+                ? null
+                : current.defaultAccount,
+          };
+        });
+
+        if (!removed) {
+          return ctx.reply(
+            findAccount(accounts, value)
+              ? "❌ Built-in accounts can't be removed."
+              : `❌ No account called ${value || "that"}. See /accounts.`
+          );
+        }
+        return ctx.reply(
+          `🗑️ Removed ${removed}. Expenses already paid with it keep it.`
+        );
+      }
+
+      case "default": {
+        const off = ["off", "none"].includes(value.toLowerCase());
+        const name = off ? null : findAccount(accounts, value);
+        if (!off && !name) {
+          return ctx.reply(
+            `❌ Unknown account. Use one of: ${accounts.join(", ")}, or "off".`
+          );
+        }
+        await updateSettings(userId, { defaultAccount: name });
+        return ctx.reply(
+          name
+            ? `💳 Expenses that don't say how they were paid now go to ${name}.`
+            : "💳 No default account. Expenses that don't say how they were paid have no account."
+        );
+      }
+
+      case "list": {
+        // This month's spending per account, in this chat's ledger
+        const today = getManilaDate();
+        const { records } = await readLedger(getLedgerId(ctx));
+        const totals = calculateAccountTotals(
+          getExpenses(filterRecordsByDate(records, startOfMonth(today), today))
+        );
+
+        return ctx.replyWithHTML(
+          `💳 <b>Accounts:</b> ${accounts
+            .map((account) =>
+              escapeHtml(
+                account === settings.defaultAccount
+                  ? `${account} (default)`
+                  : account
+              )
+            )
+            .join(", ")}\n\n` +
+            (totals.length > 0
+              ? `<b>Spent this month:</b>\n` +
+                totals
+                  .map(
+                    ({ account, amount }) =>
+                      `• ${escapeHtml(account)}: ${formatPeso(amount)}`
+                  )
+                  .join("\n")
+              : "No expenses this month yet.") +
+            (settings.defaultAccount
+              ? ""
+              : "\n\nSet a default with /accounts default GCash.")
+        );
+      }
+
+      default:
+        return ctx.reply(usage);
+    }
+  } catch (error) {
+    console.error("Accounts error:", error);
+    ctx.reply(`❌ Error updating accounts: ${error.message}`);
+  }
+});
+
+// Currencies listed by /rates besides the ones a ledger set itself
+const LISTED_CURRENCIES = ["USD", "JPY", "SGD", "HKD", "KRW", "EUR"];
+
+// Exchange rates: /rates, /rates USD 58.20, /rates USD off, /rates refresh
+bot.command("rates", async (ctx) => {
+  const ledgerId = getLedgerId(ctx);
+  const [first = "", value = "", ...extra] = ctx.payload
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean);
+  const usage =
+    "Usage: /rates [<currency> <pesos per unit> | <currency> off | refresh]\n" +
+    "Example: /rates USD 58.20 to use the rate you got at the money changer";
+
+  try {
+    if (first && first.toLowerCase() !== "refresh") {
+      const currency = parseCurrencyCode(first);
+      const off = value.toLowerCase() === "off";
+      const rate = parseFloat(value.replace(/,/g, ""));
+      if (
+        !currency ||
+        currency === BASE_CURRENCY ||
+        extra.length > 0 ||
+        (!off && !(rate > 0))
+      ) {
+        return ctx.reply(usage);
+      }
+
+      await updateCustomRates(ledgerId, (rates) => {
+        const { [currency]: removed, ...rest } = rates;
+        return off ? rest : { ...rest, [currency]: rate };
+      });
+      return ctx.reply(
+        off
+          ? `💱 ${currency} is back to the provider's rate.`
+          : `💱 New ${currency} expenses in this ledger use ${formatRate(
+              currency,
+              rate
+            )}. Expenses already logged keep their rate.`
+      );
+    }
+
+    const [provider, custom] = await Promise.all([
+      readProviderRates({ refresh: first.toLowerCase() === "refresh" }),
+      readCustomRates(ledgerId),
+    ]);
+    const listed = [
+      ...Object.keys(custom).sort(),
+      ...LISTED_CURRENCIES.filter(
+        (currency) => !custom[currency] && provider.rates[currency]
+      ),
+    ];
+
+    await ctx.replyWithHTML(
+      `💱 <b>Exchange rates</b>\n\n` +
+        (listed.length > 0
+          ? listed
+              .map((currency) =>
+                custom[currency]
+                  ? `• ${formatRate(currency, custom[currency])} (set here)`
+                  : `• ${formatRate(currency, provider.rates[currency])}`
+              )
+              .join("\n")
+          : "No rates available yet.") +
+        (provider.source
+          ? `\n\nOther rates from ${escapeHtml(provider.source)}${
+              provider.asOf ? `, as of ${escapeHtml(provider.asOf)}` : ""
+            }.`
+          : "") +
+        `\nSet your own with /rates USD 58.20 (/rates USD off to undo).`
+    );
+  } catch (error) {
+    console.error("Rates error:", error);
+    ctx.reply(`❌ Error reading exchange rates: ${error.message}`);
+  }
+});
+
+// Group balances and the settle-up plan: /owed
+bot.command("owed", async (ctx) => {
+  if (ctx.chat.type === "private") {
+    return ctx.reply(SPLITS_GROUP_ONLY);
+  }
+
+  try {
+    const splits = await readSplits(getLedgerId(ctx));
+    await ctx.replyWithHTML(
+      splits.entries.length > 0
+        ? formatOwed(splits, (member) => formatMemberName(splits, member))
+        : '🤝 No shared expenses yet. Send e.g. "dinner 2400 split with @ana @ben".'
+    );
+  } catch (error) {
+    console.error("Owed error:", error);
+    ctx.reply(`❌ Error reading shared expenses: ${error.message}`);
+  }
+});
+
+// Record paying someone back: /settle @name [amount]
+bot.command("settle", async (ctx) => {
+  if (ctx.chat.type === "private") {
+    return ctx.reply(SPLITS_GROUP_ONLY);
+  }
+
+  // The member is named as @username or #id (as /owed shows members
+  // without a username), or is the sender of the message replied to
+  const words = ctx.payload.trim().split(/\s+/).filter(Boolean);
+  const repliedTo = (ctx.message.reply_to_message || {}).from;
+  const target = /^[@#]/.test(words[0] || "")
+    ? words.shift()
+    : repliedTo && !repliedTo.is_bot
+    ? getMemberKey(repliedTo)
+    : "";
+  const [amountText, ...extra] = words;
+  if (!/^(@\w{1,32}|#\d+)$/.test(target) || extra.length > 0) {
+    return ctx.reply(
+      "Usage: /settle @name [amount]\n" +
+        "Records that you paid @name back, e.g. /settle @ana 800. Members without a username go by the #number /owed shows, or reply to their message with /settle [amount]. Without an amount, it settles what /owed says you should pay them."
+    );
+  }
+
+  const payer = getMemberKey(ctx.from);
+  const payee = target.toLowerCase();
+  if (payee === payer) {
+    return ctx.reply("❌ You can't settle up with yourself.");
+  }
+
+  let amount = null;
+  if (amountText) {
+    amount = parseFloat(amountText.replace(/[₱,]|php/gi, ""));
+    if (isNaN(amount) || amount <= 0) {
+      return ctx.reply("❌ Amount must be a positive number.");
+    }
+  }
+
+  try {
+    let outcome = null;
+    const splits = await updateSplits(getLedgerId(ctx), (current) => {
+      if (!current.names[payee]) {
+        outcome = "unknown";
+        return current;
+      }
+      const planned = planSettlements(calculateBalances(current.entries)).find(
+        ({ from, to }) => from === payer && to === payee
+      );
+      if (!amount && !planned) {
+        outcome = "nothing";
+        return current;
+      }
+
+      outcome = {
+        id: generateRecordId(),
+        type: "settlement",
+        date: getManilaDate(),
+        from: payer,
+        to: payee,
+        amount: amount || planned.amount,
+        batch: getBatchId(ctx),
+      };
+      return {
+        names: { ...current.names, [payer]: getMemberName(ctx.from) },
+        entries: [...current.entries, outcome],
+      };
+    });
+
+    if (outcome === "unknown") {
+      return ctx.reply(
+        `❌ ${target} isn't in any shared expense here. Check the spelling in /owed.`
+      );
+    }
+    if (outcome === "nothing") {
+      return ctx.reply(
+        `🤝 You don't owe ${target} anything. Add an amount to record a payment anyway.`
       );
     }
 
-    return newBlob;
+    await ctx.replyWithHTML(
+      `✅ Recorded: ${formatMemberName(splits, payer)} paid ${formatMemberName(
+        splits,
+        payee
+      )} <b>${formatPeso(outcome.amount)}</b>.\n\n` +
+        formatOwed(splits, (member) => formatMemberName(splits, member))
+    );
   } catch (error) {
-    console.error("Error in writeBlobContent:", error);
-    throw new Error(`Failed to write blob content: ${error.message}`);
+    console.error("Settle error:", error);
+    ctx.reply(`❌ Error recording the payment: ${error.message}`);
   }
-};
-
-/**
- * Manual expense parsing as fallback when Gemini fails
- */
-const parseExpensesManually = (text) => {
-  const date = new Date().toLocaleDateString("en-PH");
-
-  // Simple regex patterns for common expense formats
-  const patterns = [
-    // "item for 150", "lunch 200", "taxi 50"
-    /(.+?)\s+(?:for|cost|price|worth|)\s*(?:php|₱|pesos?|)\s*(\d+(?:\.\d{2})?)/gi,
-    // "150 for item", "200 lunch", "₱50 taxi"
-    /(?:php|₱|pesos?|)\s*(\d+(?:\.\d{2})?)\s+(?:for|)\s*(.+)/gi,
-    // Just numbers with context "bought something 150"
-    /(.+?)\s+(\d+(?:\.\d{2})?)$/gi,
-  ];
+});
 
-  const results = [];
-  let amount = null;
-  let description = text.trim();
-
-  for (const pattern of patterns) {
-    const matches = [...text.matchAll(pattern)];
-    if (matches.length > 0) {
-      const match = matches[0];
-      if (pattern === patterns[1]) {
-        // Amount first pattern
-        amount = parseFloat(match[1]);
-        description = match[2].trim();
-      } else {
-        // Description first pattern
-        description = match[1].trim();
-        amount = parseFloat(match[2]);
-      }
-      break;
-    }
+// Scheduled digests: /digest [on|daily|weekly|off], /digest at 7am,
+// /digest nudge on|off, /digest quiet 22-7|off
+bot.command("digest", async (ctx) => {
+  if (ctx.chat.type !== "private") {
+    return ctx.reply(
+      "📬 Digests are about your personal expenses, so set them up in a private chat with me."
+    );
   }
 
-  // If no amount found, try to extract any number
-  if (!amount) {
-    const numberMatch = text.match(/(\d+(?:\.\d{2})?)/);
-    if (numberMatch) {
-      amount = parseFloat(numberMatch[1]);
-      description = text.replace(numberMatch[0], "").trim();
-    }
+  const changes = parseDigestArgs(ctx.payload);
+  if (!changes) {
+    return ctx.reply(
+      "Usage: /digest [on | weekly | off]\n" +
+        "/digest at 7am - When to send it\n" +
+        "/digest nudge on|off - Evening reminder if nothing was logged\n" +
+        "/digest quiet 22-7 | off - No messages during these hours"
+    );
   }
 
-  // Default fallback
-  if (!amount) {
-    amount = 0;
-    description = text;
+  try {
+    const settings =
+      Object.keys(changes).length > 0
+        ? await updateSettings(ctx.from.id, changes)
+        : await readSettings(ctx.from.id);
+    await updateDigestIndex(
+      ctx.from.id,
+      settings.digest !== "off" || settings.nudge
+    );
+    await ctx.reply(formatDigestSettings(settings));
+  } catch (error) {
+    console.error("Digest settings error:", error);
+    ctx.reply(`❌ Error updating settings: ${error.message}`);
   }
+});
 
-  // Simple category guessing
-  let category = "Other";
-  const lowerText = text.toLowerCase();
-  if (
-    lowerText.includes("food") ||
-    lowerText.includes("lunch") ||
-    lowerText.includes("dinner") ||
-    lowerText.includes("meal") ||
-    lowerText.includes("eat")
-  )
-    category = "Food";
-  else if (
-    lowerText.includes("taxi") ||
-    lowerText.includes("bus") ||
-    lowerText.includes("transport") ||
-    lowerText.includes("fare")
-  )
-    category = "Transportation";
-  else if (
-    lowerText.includes("office") ||
-    lowerText.includes("work") ||
-    lowerText.includes("supplies")
-  )
-    category = "Supplies";
-  else if (
-    lowerText.includes("bill") ||
-    lowerText.includes("electric") ||
-    lowerText.includes("water") ||
-    lowerText.includes("internet")
-  )
-    category = "Utilities";
-  else if (
-    lowerText.includes("personal") ||
-    lowerText.includes("health") ||
-    lowerText.includes("medical")
-  )
-    category = "Personal";
-
-  return [
-    { date, description: description || "Manual entry", amount, category },
-  ];
-};
-
-/**
- * Uses Gemini to parse Philippine expense text into structured JSON data with retry logic.
- */
-const parseExpensesWithAI = async (text, maxRetries = 3) => {
-  // Input validation to reduce API load
-  if (!text || text.trim().length === 0) {
-    throw new Error("Empty input text");
-  }
-
-  // Rate limiting check
-  const now = Date.now();
-  const timeSinceLastCall = now - lastGeminiCall;
-  if (timeSinceLastCall < GEMINI_MIN_DELAY) {
-    const waitTime = GEMINI_MIN_DELAY - timeSinceLastCall;
-    console.log(`Rate limiting: waiting ${waitTime}ms`);
-    await new Promise((resolve) => setTimeout(resolve, waitTime));
-  }
-  lastGeminiCall = Date.now();
-
-  // Limit input length to prevent excessive token usage
-  const maxLength = 300; // Reduced from 500
-  const trimmedText =
-    text.length > maxLength ? text.substring(0, maxLength) + "..." : text;
-
-  // Shorter, more efficient prompt
-  const prompt = `Extract expenses from: "${trimmedText}". Return JSON array: [{description: string, amount: number, category: "Food"|"Transportation"|"Supplies"|"Utilities"|"Personal"|"Other"}]`;
-
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      const response = await ai.models.generateContent({
-        model: model,
-        contents: prompt,
-        config: {
-          responseMimeType: "application/json",
-          responseSchema: simplifiedJsonSchema,
-        },
-      });
+// Toggle review mode: /review on|off
+bot.command("review", async (ctx) => {
+  try {
+    const arg = ctx.payload.trim().toLowerCase();
+    const current = await readSettings(ctx.from.id);
+    const reviewMode =
+      arg === "on" ? true : arg === "off" ? false : !current.reviewMode;
 
-      const rawJson = response.text.trim();
-      const parsedData = JSON.parse(rawJson);
-      const date = new Date().toLocaleDateString("en-PH");
+    await updateSettings(ctx.from.id, { reviewMode });
+    await ctx.reply(
+      reviewMode
+        ? "📝 Review mode is ON. I'll show you what I parsed and wait for ✅ Save before logging."
+        : "⚡ Review mode is OFF. Expenses are logged right away."
+    );
+  } catch (error) {
+    console.error("Review toggle error:", error);
+    ctx.reply(`❌ Error updating settings: ${error.message}`);
+  }
+});
 
-      return parsedData.map((record) => ({ ...record, date }));
-    } catch (error) {
-      console.log(
-        `Gemini API attempt ${attempt}/${maxRetries} failed:`,
-        error.message
-      );
+// Draft buttons: ✅ Save / ✏️ Edit / ❌ Discard
+bot.action(/^draft:(save|edit|discard):(\w+)$/, async (ctx) => {
+  const [, action, draftId] = ctx.match;
+  const ledgerId = getLedgerId(ctx);
 
-      // Check if it's a service unavailable error (503) or rate limit
-      if (
-        error.message.includes("503") ||
-        error.message.includes("overloaded") ||
-        error.message.includes("UNAVAILABLE") ||
-        error.message.includes("rate limit") ||
-        error.message.includes("429")
-      ) {
-        if (attempt < maxRetries) {
-          // Increased exponential backoff for overloaded servers
-          const waitTime = Math.pow(3, attempt) * 2000; // 6s, 18s, 54s
-          console.log(
-            `Server overloaded, waiting ${waitTime}ms before retry...`
-          );
-          await new Promise((resolve) => setTimeout(resolve, waitTime));
-          continue;
-        } else {
-          // If all retries failed, fall back to manual parsing
-          console.log("Gemini API exhausted, falling back to manual parsing");
-          return parseExpensesManually(text);
-        }
+  try {
+    if (action === "edit") {
+      const draft = (await updateDrafts(ledgerId, (drafts) => drafts))[draftId];
+      if (!draft || draft.userId !== ctx.from.id) {
+        return ctx.answerCbQuery("This draft is no longer available.");
       }
+      await ctx.answerCbQuery();
+      return ctx.editMessageText(
+        formatDraftMessage(
+          draft,
+          "✏️ Remove or recategorize items below. To fix an amount, send /edit &lt;id&gt; amount 180."
+        ),
+        { parse_mode: "HTML", ...buildDraftKeyboard(draftId, draft, true) }
+      );
+    }
 
-      // For other errors, also fall back to manual parsing on final attempt
-      if (attempt === maxRetries) {
-        console.log("Final attempt failed, falling back to manual parsing");
-        return parseExpensesManually(text);
-      }
+    const draft = await takeDraft(ctx, draftId);
+    if (!draft || draft.userId !== ctx.from.id) {
+      return ctx.answerCbQuery(
+        draft
+          ? "🚫 Only the person who sent this can confirm it."
+          : "This draft is no longer available."
+      );
+    }
 
-      // If it's not a retryable error, throw immediately
-      throw error;
+    if (action === "discard" || draft.records.length === 0) {
+      await ctx.answerCbQuery("❌ Discarded");
+      return ctx.editMessageText("❌ Discarded. Nothing was logged.");
     }
+
+    const writeResult = await appendRecords(ledgerId, draft.records);
+    const budgets = await readBudgets(ledgerId);
+    await ctx.answerCbQuery("✅ Saved");
+    await ctx.editMessageText(
+      formatAddedMessage(draft.records, writeResult.records, budgets),
+      { parse_mode: "HTML", ...buildRecordsKeyboard(draft.records) }
+    );
+  } catch (error) {
+    console.error("Draft button error:", error);
+    ctx.answerCbQuery("❌ Something went wrong, please try again.");
   }
+});
+
+/**
+ * Describes imported records, e.g. "3 expense(s) (PHP 450.00)", adding the
+ * income when a KwentaKo export brought some.
+ */
+const describeImportedRecords = (records) => {
+  const expenses = getExpenses(records);
+  const income = records.filter(isIncome);
+  return (
+    `${expenses.length} expense(s) (${formatPeso(sumAmounts(expenses))})` +
+    (income.length > 0
+      ? ` and ${income.length} income (+${formatPeso(sumAmounts(income))})`
+      : "")
+  );
 };
 
-// -------------------------------------------------------------------
-// 4. Bot Commands and Handlers
-// -------------------------------------------------------------------
+// Import preview buttons: ✅ Import / ❌ Cancel
+bot.action(/^import:(save|cancel):(\w+)$/, async (ctx) => {
+  const [, action, draftId] = ctx.match;
 
-bot.start(async (ctx) => {
-  const welcomeMessage = `
-👋 Welcome to KwentaKo!
-    
-Simply send me your expenses. I will log them to secure Vercel Blob storage and send you the updated download link.
+  try {
+    const draft = await takeDraft(ctx, draftId);
+    if (!draft || draft.userId !== ctx.from.id) {
+      return ctx.answerCbQuery(
+        draft
+          ? "🚫 Only the person who sent the file can confirm it."
+          : "This import is no longer available."
+      );
+    }
 
-📝 *Available Commands:*
-• Send expense messages (e.g., "lunch 150 pesos")
-• \`/verify\` - Check current data status
-• \`/clearData\` - Delete all stored expense data
+    if (action === "cancel") {
+      await ctx.answerCbQuery("❌ Cancelled");
+      return ctx.editMessageText("❌ Import cancelled. Nothing was added.");
+    }
 
-✨ *Created by ${CREATOR_NAME}*
-    `;
-  ctx.replyWithMarkdown(welcomeMessage);
+    const { added } = await importRecords(getLedgerId(ctx), draft.records);
+    const skipped = draft.records.length - added.length;
+    await ctx.answerCbQuery("✅ Imported");
+    await ctx.editMessageText(
+      `✅ Imported ${describeImportedRecords(added)} from ${escapeHtml(
+        draft.filename
+      )}.` +
+        (skipped > 0
+          ? `\n♻️ ${skipped} were already in your ledger and were skipped.`
+          : "") +
+        `\n\n↩️ Changed your mind? /undo removes the whole import.`,
+      { parse_mode: "HTML" }
+    );
+  } catch (error) {
+    console.error("Import button error:", error);
+    ctx.answerCbQuery("❌ Something went wrong, please try again.");
+  }
 });
 
-// Add verification command
-bot.command("verify", async (ctx) => {
+// Draft edit buttons: remove an item
+bot.action(/^dftdel:(\w+):(\w+)$/, async (ctx) => {
+  const [, draftId, recordId] = ctx.match;
   try {
-    const content = await readBlobContent();
-    const lines = content.split("\n").filter((line) => line.trim() !== "");
-    const recordCount =
-      lines.filter((line) => !line.startsWith("#")).length - 1; // Subtract header, ignore comments
+    const { status, draft } = await changeDraftRecord(
+      ctx,
+      recordId,
+      null,
+      draftId
+    );
+    if (status !== "ok") {
+      return ctx.answerCbQuery("This draft is no longer available.");
+    }
 
-    // Get the current blob URL dynamically
-    const { blobs } = await list({
-      token: BLOB_READ_WRITE_TOKEN,
-      prefix: "expenses/kwentako_data_",
+    await ctx.answerCbQuery("🗑️ Removed");
+    await ctx.editMessageText(formatDraftMessage(draft), {
+      parse_mode: "HTML",
+      ...buildDraftKeyboard(draftId, draft, true),
     });
+  } catch (error) {
+    console.error("Draft remove error:", error);
+    ctx.answerCbQuery("❌ Could not remove the item.");
+  }
+});
 
-    let downloadUrl = "#";
-    if (blobs && blobs.length > 0) {
-      // Get the most recent blob
-      const sortedBlobs = blobs.sort(
-        (a, b) => new Date(b.uploadedAt) - new Date(a.uploadedAt)
-      );
-      downloadUrl = sortedBlobs[0].url;
-    }
-
-    await ctx.replyWithHTML(
-      `🔍 <b>Current CSV Status:</b>\n` +
-        `📊 Total records: ${recordCount}\n` +
-        `📝 File size: ${content.length} characters\n\n` +
-        `📥 <a href="${downloadUrl}">Download Latest CSV</a>\n\n` +
-        `<code>${content.substring(0, 1000)}${
-          content.length > 1000 ? "..." : ""
-        }</code>`
+// Draft edit buttons: show the category picker for an item
+bot.action(/^dftcat:(\w+):(\w+)$/, async (ctx) => {
+  const [, draftId, recordId] = ctx.match;
+  try {
+    const categories = getCategories(
+      await readCategoryConfig(getLedgerId(ctx))
+    );
+    await ctx.answerCbQuery();
+    await ctx.editMessageReplyMarkup(
+      Markup.inlineKeyboard(
+        categories.map((cat) =>
+          Markup.button.callback(cat, `dftset:${draftId}:${recordId}:${cat}`)
+        ),
+        { columns: 3 }
+      ).reply_markup
     );
   } catch (error) {
-    ctx.reply(`❌ Error reading blob: ${error.message}`);
+    console.error("Draft category picker error:", error);
+    ctx.answerCbQuery("❌ Could not load the categories.");
   }
 });
 
-// Add clear data command
-bot.command("clearData", async (ctx) => {
+// Draft edit buttons: apply the picked category
+bot.action(/^dftset:(\w+):(\w+):(.+)$/, async (ctx) => {
+  const [, draftId, recordId, name] = ctx.match;
+  const ledgerId = getLedgerId(ctx);
   try {
-    await ctx.reply("🗑️ Starting to clear all expense data...");
-
-    // List all blobs with the expenses prefix
-    const { blobs } = await list({
-      token: BLOB_READ_WRITE_TOKEN,
-      prefix: "expenses/",
-    });
-
-    if (!blobs || blobs.length === 0) {
-      await ctx.reply("✅ No data found to clear. Storage is already empty.");
-      return;
-    }
-
-    let deletedCount = 0;
-    let errorCount = 0;
-
-    // Delete all found blobs
-    for (const blob of blobs) {
-      try {
-        await del(blob.pathname, { token: BLOB_READ_WRITE_TOKEN });
-        deletedCount++;
-        console.log(`Deleted blob: ${blob.pathname}`);
-      } catch (deleteError) {
-        errorCount++;
-        console.error(
-          `Failed to delete ${blob.pathname}:`,
-          deleteError.message
-        );
-      }
+    const category = findCategory(
+      getCategories(await readCategoryConfig(ledgerId)),
+      name
+    );
+    if (!category) {
+      return ctx.answerCbQuery("That category no longer exists.");
     }
 
-    // Provide feedback to user
-    if (deletedCount > 0) {
-      await ctx.replyWithHTML(
-        `✅ <b>Data cleared successfully!</b>\n` +
-          `🗑️ Deleted ${deletedCount} file(s)\n` +
-          (errorCount > 0
-            ? `⚠️ Failed to delete ${errorCount} file(s)\n`
-            : "") +
-          `\n📝 You can now start fresh with new expenses.`
-      );
-    } else {
-      await ctx.reply(
-        "❌ Failed to delete any files. Please try again or contact support."
-      );
+    const { status, before, after, draft } = await changeDraftRecord(
+      ctx,
+      recordId,
+      (record) => ({ ...record, category, type: "expense" }),
+      draftId
+    );
+    if (status !== "ok") {
+      return ctx.answerCbQuery("This draft is no longer available.");
+    }
+    if (before.category !== category) {
+      await learnCategoryRules(ledgerId, [after]);
     }
+
+    await ctx.answerCbQuery(`🏷️ Moved to ${category}`);
+    await ctx.editMessageText(formatDraftMessage(draft), {
+      parse_mode: "HTML",
+      ...buildDraftKeyboard(draftId, draft, true),
+    });
   } catch (error) {
-    console.error("Clear data error:", error);
-    await ctx.reply(
-      `❌ Error clearing data: ${error.message}\n` +
-        `Please try again or contact support if the issue persists.`
-    );
+    console.error("Draft category error:", error);
+    ctx.answerCbQuery("❌ Could not change the category.");
   }
 });
 
@@ -687,9 +3160,13 @@ bot.on("text", async (ctx) => {
   const text = ctx.message.text;
   const userId = ctx.message.from.id;
   const messageId = ctx.message.message_id;
+  const ledgerId = getLedgerId(ctx);
 
   // Create a unique identifier for this message
-  const messageKey = `${userId}:${messageId}:${text.substring(0, 50)}`;
+  const messageKey = `${ctx.chat.id}:${userId}:${messageId}:${text.substring(
+    0,
+    50
+  )}`;
 
   // Check if we've already processed this message
   if (processedMessages.has(messageKey)) {
@@ -725,7 +3202,7 @@ bot.on("text", async (ctx) => {
   // Check for bot-like responses (emojis, formatted text patterns)
   const botResponsePatterns = /^[✅❌📊📥🔍🤖]/i;
   const htmlLinkPattern = /<a href=/i;
-  const csvDataPattern = /^(Date|#|\d{4}-\d{2}-\d{2})/i;
+  const csvDataPattern = /^(Date,|#|\d{4}-\d{2}-\d{2},)/i;
 
   if (
     nonExpensePatterns.test(text.trim()) ||
@@ -747,107 +3224,466 @@ bot.on("text", async (ctx) => {
     );
   }
 
-  console.log(`Processing expense message from user ${userId}: "${text}"`);
+  console.log(
+    `Processing message from user ${userId} (${ledgerId}): "${text}"`
+  );
 
   try {
-    await ctx.reply("🤖 Processing your expense...");
+    // Shared expenses ("dinner 2400 split with @ana @ben") skip Gemini
+    const split = parseSplitMessage(text);
+    if (split) {
+      return await logSplitExpense(ctx, split);
+    }
 
-    // 1. PARSE NEW EXPENSES (with fallback to manual parsing)
-    const newRecords = await parseExpensesWithAI(text);
-    if (newRecords.length === 0) {
+    await ctx.reply("🤖 Processing your message...");
+
+    // One Gemini call tells expenses and questions apart and reads them
+    const parsed = await parseMessageWithAI(
+      text,
+      await readCategoryConfig(ledgerId)
+    );
+
+    // 1. ANSWER QUESTIONS ABOUT PAST SPENDING
+    if (parsed.intent === "question") {
+      const { records } = await readLedger(ledgerId);
+      return ctx.replyWithHTML(answerQuery(records, parsed.query));
+    }
+    if (parsed.intent === "other") {
+      return ctx.reply(
+        "I help track expenses. Send me details like 'bought lunch 150 pesos', or ask something like 'how much did I spend on food this month?'"
+      );
+    }
+
+    // 2. LOG NEW EXPENSES (parsed offline if Gemini was unavailable)
+    if (parsed.records.length === 0) {
       return ctx.reply(
         "❌ Could not extract any expenses from your message. Try being more specific about amount and description."
       );
     }
 
-    // Check if manual parsing was used (fallback indicator)
-    const isManualParsing = newRecords.some(
-      (record) => record.amount === 0 || record.description === "Manual entry"
+    await logNewRecords(ctx, parsed.records);
+  } catch (error) {
+    replyWithProcessingError(ctx, error);
+  }
+});
+
+// Receipt photo handler
+bot.on("photo", async (ctx) => {
+  const caption = ctx.message.caption || "";
+  // Telegram sends several sizes; the last one is the largest
+  const photo = ctx.message.photo[ctx.message.photo.length - 1];
+
+  console.log(
+    `Processing receipt photo from user ${ctx.from.id} (${getLedgerId(ctx)})`
+  );
+
+  try {
+    await ctx.reply("🧾 Reading your receipt...");
+
+    const image = await downloadTelegramFile(ctx, photo.file_id);
+    const { merchant, records } = await parseReceiptWithAI(
+      image,
+      "image/jpeg",
+      await readCategoryConfig(getLedgerId(ctx)),
+      { totalOnly: /\btotal\b/i.test(caption) }
+    );
+
+    if (records.length === 0) {
+      return ctx.reply(
+        "❌ I couldn't read any amounts from that photo. Try a sharper, well-lit photo of the whole receipt."
+      );
+    }
+
+    await logNewRecords(ctx, records, {
+      note:
+        `🧾 Receipt${merchant ? ` from <b>${escapeHtml(merchant)}</b>` : ""}` +
+        (records.length > 1
+          ? ` (${records.length} items). Add "total" as the photo caption to log just the total.`
+          : "."),
+    });
+  } catch (error) {
+    replyWithProcessingError(ctx, error);
+  }
+});
+
+// Longer voice notes are refused to keep Gemini usage in check
+const MAX_VOICE_SECONDS = 120;
+
+// Voice note handler
+bot.on(["voice", "audio"], async (ctx) => {
+  const media = ctx.message.voice || ctx.message.audio;
+
+  if (media.duration > MAX_VOICE_SECONDS) {
+    return ctx.reply(
+      `🎙️ That recording is too long. Please keep voice notes under ${MAX_VOICE_SECONDS} seconds.`
+    );
+  }
+
+  console.log(
+    `Processing voice note from user ${ctx.from.id} (${getLedgerId(ctx)})`
+  );
+
+  try {
+    await ctx.reply("🎙️ Listening to your voice note...");
+
+    const audio = await downloadTelegramFile(ctx, media.file_id);
+    const { transcript, records } = await parseVoiceWithAI(
+      audio,
+      media.mime_type || "audio/ogg",
+      await readCategoryConfig(getLedgerId(ctx))
+    );
+    const heard = formatTranscript(transcript);
+
+    if (records.length === 0) {
+      return ctx.replyWithHTML(
+        `${heard}\n\n❌ I couldn't find any expenses in that. Try something like "jeep 13, tapos kape 95".`
+      );
+    }
+
+    await logNewRecords(ctx, records, { note: heard });
+  } catch (error) {
+    replyWithProcessingError(ctx, error);
+  }
+});
+
+// Largest CSV file accepted for import
+const MAX_IMPORT_BYTES = 1024 * 1024;
+
+// Rows shown in the import preview
+const IMPORT_PREVIEW_ROWS = 10;
+
+// CSV import handler (spreadsheets and GCash/Maya/BPI exports)
+bot.on("document", async (ctx) => {
+  const document = ctx.message.document;
+  const filename = document.file_name || "file.csv";
+
+  if (!/\.csv$/i.test(filename) && !/csv/i.test(document.mime_type || "")) {
+    return ctx.reply(
+      "📎 I can import expenses from CSV files, like exports from a spreadsheet, GCash, Maya or BPI."
     );
+  }
+  if (document.file_size > MAX_IMPORT_BYTES) {
+    return ctx.reply("📎 That file is too big to import (the limit is 1 MB).");
+  }
 
-    // 2. READ EXISTING BLOB DATA
-    const existingContent = await readBlobContent();
-    console.log("Existing content read, length:", existingContent.length);
+  console.log(
+    `Processing CSV import "${filename}" from user ${
+      ctx.from.id
+    } (${getLedgerId(ctx)})`
+  );
+
+  try {
+    await ctx.reply("📥 Reading your file...");
 
-    // 3. PARSE EXISTING EXPENSES FROM CSV
-    const existingRecords = parseExistingCSV(existingContent);
-    console.log("Existing expense records:", existingRecords.length);
+    const content = (
+      await downloadTelegramFile(ctx, document.file_id)
+    ).toString("utf8");
 
-    // 4. COMBINE ALL RECORDS
-    const allRecords = [...existingRecords, ...newRecords];
-    console.log("Total records after adding new:", allRecords.length);
+    const ledgerId = getLedgerId(ctx);
+    const categoryConfig = await readCategoryConfig(ledgerId);
 
-    // 5. GENERATE COMPLETE CSV WITH METADATA
-    const updatedContent = generateCompleteCSV(allRecords);
-    console.log("Generated CSV content, length:", updatedContent.length);
+    let statement;
+    try {
+      statement = await parseStatement(content, {
+        categories: getCategories(categoryConfig),
+        guessCategory: (description) =>
+          guessCategory(description, categoryConfig),
+      });
+    } catch (error) {
+      return ctx.reply(
+        `❌ ${error.message}.\n` +
+          "The file needs a header row with at least a date column and an amount (or debit) column."
+      );
+    }
 
-    // 6. WRITE UPDATED CSV BACK TO BLOB (delete-first approach)
-    const blobMetadata = await writeBlobContent(updatedContent);
-    console.log("Blob write result:", blobMetadata);
+    const { records: existingRecords } = await readLedger(ledgerId);
+    const newRecords = removeDuplicates(existingRecords, statement.records);
 
-    // 7. CALCULATE STATISTICS FOR RESPONSE
-    const newTotal = newRecords.reduce((acc, curr) => acc + curr.amount, 0);
-    const grandTotal = allRecords.reduce((acc, curr) => acc + curr.amount, 0);
+    // A GCash or Maya export is that account's history. Rows that name
+    // their own account (a KwentaKo /export) keep it
+    const settings = await readSettings(ctx.from.id);
+    const account = resolveRecordAccount(
+      statement.layout,
+      getAccounts(settings),
+      settings.defaultAccount
+    );
 
-    // Format datetime in human-readable English
-    const updateTime = new Date().toLocaleString("en-US", {
-      year: "numeric",
-      month: "long",
-      day: "numeric",
-      hour: "2-digit",
-      minute: "2-digit",
-      hour12: true,
-      timeZone: "Asia/Manila",
+    // Tie the whole import to this message so /undo can take it back
+    const batch = getBatchId(ctx);
+    newRecords.forEach((record) => {
+      record.type = record.type || "expense";
+      record.account = record.account || account;
+      record.id = generateRecordId();
+      record.batch = batch;
     });
 
+    const duplicates = statement.records.length - newRecords.length;
+    const summary =
+      `📥 <b>${escapeHtml(filename)}</b> (${escapeHtml(
+        statement.layout
+      )} layout)\n` +
+      `🧾 New: ${describeImportedRecords(newRecords)}\n` +
+      (duplicates > 0 ? `♻️ ${duplicates} already in your ledger\n` : "") +
+      (statement.incoming > 0
+        ? `💸 ${statement.incoming} incoming transaction(s) skipped\n`
+        : "") +
+      (statement.unreadable > 0
+        ? `⚠️ ${statement.unreadable} row(s) without a date or amount skipped\n`
+        : "");
+
+    if (newRecords.length === 0) {
+      return ctx.replyWithHTML(`${summary}\nNothing new to import.`);
+    }
+
+    const draftId = generateRecordId();
+    await updateDrafts(ledgerId, (drafts) => ({
+      ...drafts,
+      [draftId]: {
+        userId: ctx.from.id,
+        createdAt: new Date().toISOString(),
+        filename,
+        records: newRecords,
+      },
+    }));
+
+    const more = newRecords.length - IMPORT_PREVIEW_ROWS;
     await ctx.replyWithHTML(
-      `✅ Added ${newRecords.length} new expenses (PHP ${newTotal.toFixed(
-        2
-      )})\n` +
-        `📊 Total expenses: ${
-          allRecords.length
-        } records (PHP ${grandTotal.toFixed(2)})\n\n` +
-        `📥 Download CSV: <a href="${blobMetadata.url}">Click here</a>\n\n` +
-        `🔍 Updated: ${updateTime}`
+      `${summary}\n<b>Preview:</b>\n` +
+        newRecords
+          .slice(0, IMPORT_PREVIEW_ROWS)
+          .map(formatRecordLine)
+          .join("\n") +
+        (more > 0 ? `\n…and ${more} more` : ""),
+      Markup.inlineKeyboard([
+        Markup.button.callback(
+          `✅ Import ${newRecords.length}`,
+          `import:save:${draftId}`
+        ),
+        Markup.button.callback("❌ Cancel", `import:cancel:${draftId}`),
+      ])
     );
   } catch (error) {
-    console.error("Critical Blob/Gemini Error:", error);
+    replyWithProcessingError(ctx, error);
+  }
+});
 
-    // Check if it's a Gemini API error
-    if (
-      error.message.includes("503") ||
-      error.message.includes("overloaded") ||
-      error.message.includes("UNAVAILABLE")
-    ) {
-      ctx.reply(
-        "🚫 The AI service is temporarily overloaded. Please try again in a few minutes. " +
-          "This is a temporary issue with Google's servers."
-      );
-    } else if (
-      error.message.includes("rate limit") ||
-      error.message.includes("429")
-    ) {
-      ctx.reply(
-        "⏳ Rate limit exceeded. Please wait a moment before sending another expense."
-      );
-    } else if (error.message.includes("Blob")) {
-      ctx.reply(
-        "💾 There was an issue saving your data. Please try again or contact support."
-      );
-    } else {
-      ctx.reply(
-        "❌ An unexpected error occurred. Please try again later. " +
-          "If the problem persists, please contact support."
+// -------------------------------------------------------------------
+// 7. SCHEDULED JOBS (run from the cron routes, see vercel.json)
+// -------------------------------------------------------------------
+
+/**
+ * Returns the chat a ledger belongs to (see getLedgerId).
+ */
+const getLedgerChatId = (ledgerId) => ledgerId.slice(ledgerId.indexOf("_") + 1);
+
+/**
+ * Derives the record ID of a recurring expense's entry for a date, so a job
+ * that runs twice doesn't log the same entry twice.
+ */
+const getRecurringRecordId = (item, date) =>
+  createHash("sha1").update(`${item.id}|${date}`).digest("hex").slice(0, 6);
+
+/**
+ * Logs the due recurring expenses of one ledger and notifies its chat.
+ * @returns {number} The number of entries logged.
+ */
+const logDueRecurring = async (ledgerId, today) => {
+  const items = await readRecurring(ledgerId);
+  if (items.length === 0) {
+    // Its last recurring expense was removed: stop looking at it
+    await updateRecurringIndex(ledgerId, false);
+    return 0;
+  }
+
+  const dueItems = items
+    .map((item) => ({ item, dates: getDueDates(item, today) }))
+    .filter(({ dates }) => dates.length > 0);
+  if (dueItems.length === 0) return 0;
+
+  const newRecords = dueItems
+    .flatMap(({ item, dates }) =>
+      dates.map((date) => ({
+        date,
+        description: item.description,
+        amount: item.amount,
+        type: "expense",
+        category: item.category,
+        account: item.account || "",
+        id: getRecurringRecordId(item, date),
+        batch: `${item.createdBy}:recurring-${item.id}-${date}`,
+      }))
+    )
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  // The IDs and batches come from the item and the date, so when the job
+  // runs twice, or stops between saving the entries and recording
+  // lastLogged below, appendRecords skips the entries already saved
+  const writeResult = await appendRecords(ledgerId, newRecords);
+  const loggedUntil = Object.fromEntries(
+    dueItems.map(({ item, dates }) => [item.id, dates[dates.length - 1]])
+  );
+  await updateRecurring(ledgerId, (current) =>
+    current.map((item) =>
+      loggedUntil[item.id]
+        ? { ...item, lastLogged: loggedUntil[item.id] }
+        : item
+    )
+  );
+  console.log(
+    `Logged ${newRecords.length} recurring expense(s) in ${ledgerId}`
+  );
+
+  try {
+    const budgets = await readBudgets(ledgerId);
+    await bot.telegram.sendMessage(
+      getLedgerChatId(ledgerId),
+      `🔁 <b>Recurring expenses logged</b>\n\n` +
+        formatAddedMessage(newRecords, writeResult.records, budgets),
+      { parse_mode: "HTML", ...buildRecordsKeyboard(newRecords) }
+    );
+  } catch (error) {
+    // e.g. the user blocked the bot; the entries are logged either way
+    console.error(`Could not notify ${ledgerId}:`, error.message);
+  }
+  return newRecords.length;
+};
+
+/**
+ * Logs every recurring expense that is due, across all ledgers.
+ * @param {string} [today] - Today's date in Manila, "YYYY-MM-DD".
+ * @returns {object} { ledgers, logged, failed }
+ */
+export const runRecurringExpenses = async (today = getManilaDate()) => {
+  const stored = await storage.read(RECURRING_INDEX_PATH);
+  const ledgerIds = stored ? JSON.parse(stored.content) : [];
+
+  let logged = 0;
+  let failed = 0;
+  for (const ledgerId of ledgerIds) {
+    try {
+      logged += await logDueRecurring(ledgerId, today);
+    } catch (error) {
+      failed++;
+      console.error(`Recurring expenses failed for ${ledgerId}:`, error);
+    }
+  }
+
+  return { ledgers: ledgerIds.length, logged, failed };
+};
+
+/**
+ * Builds a user's digest of their personal ledger: the report for yesterday
+ * (or last week) and this month's budget status.
+ */
+const buildDigestMessage = async (userId, frequency, today) => {
+  const ledgerId = `user_${userId}`;
+  const [{ records }, budgets] = await Promise.all([
+    readLedger(ledgerId),
+    readBudgets(ledgerId),
+  ]);
+
+  const period = resolveReportPeriod(
+    frequency === "weekly" ? "last week" : "yesterday",
+    today
+  );
+  const statuses = getBudgetStatus(records, budgets, today);
+
+  return (
+    `📬 <b>Your ${frequency} digest</b>\n\n` +
+    formatReport(buildReport(records, period)) +
+    (statuses.length > 0
+      ? `\n\n💰 <b>Budgets this month:</b>\n` +
+        statuses.map(formatBudgetLine).join("\n")
+      : "")
+  );
+};
+
+/**
+ * Sends one user the digest and nudge that are due this hour.
+ * @returns {number} The number of messages sent.
+ */
+const sendDueDigests = async (userId, now) => {
+  // Users whose access was revoked get no more messages
+  if (
+    isAccessControlled(ACCESS_CONFIG) &&
+    !hasAccess(ACCESS_CONFIG, await readAccess(), { userId, chatId: userId })
+  ) {
+    return 0;
+  }
+
+  const settings = await readSettings(userId);
+  if (settings.digest === "off" && !settings.nudge) {
+    // Turned off (or settings lost): stop looking at this user
+    await updateDigestIndex(userId, false);
+    return 0;
+  }
+
+  const today = getManilaDate(now);
+  const due = getDueMessages(settings, { today, hour: getManilaHour(now) });
+  let sent = 0;
+
+  if (due.digest) {
+    const message = await buildDigestMessage(userId, due.digest, today);
+    // Marked first, so a failed send isn't retried every hour
+    await updateSettings(userId, { lastDigest: today });
+    await bot.telegram.sendMessage(userId, message, { parse_mode: "HTML" });
+    sent++;
+  }
+
+  if (due.nudge) {
+    const { records } = await readLedger(`user_${userId}`);
+    await updateSettings(userId, { lastNudge: today });
+    if (!records.some((record) => normalizeDate(record.date) === today)) {
+      await bot.telegram.sendMessage(
+        userId,
+        '🔔 Nothing logged today yet. Did you spend anything? Just send it here, e.g. "dinner 250".'
       );
+      sent++;
     }
   }
-});
+
+  return sent;
+};
+
+/**
+ * Sends the digests and evening nudges that are due this hour. Meant to run
+ * hourly; each message goes out at most once a day.
+ * @param {Date} [now] - The current time.
+ * @returns {object} { users, sent, failed }
+ */
+export const runDigests = async (now = new Date()) => {
+  const stored = await storage.read(DIGEST_INDEX_PATH);
+  const userIds = stored ? JSON.parse(stored.content) : [];
+
+  let sent = 0;
+  let failed = 0;
+  for (const userId of userIds) {
+    try {
+      sent += await sendDueDigests(userId, now);
+    } catch (error) {
+      failed++;
+      console.error(`Digest failed for user ${userId}:`, error.message);
+    }
+  }
+
+  return { users: userIds.length, sent, failed };
+};
 
 // -------------------------------------------------------------------
-// 5. Vercel Handler Function (The Webhook Entry Point)
+// 8. Vercel Handler Function (The Webhook Entry Point)
 // -------------------------------------------------------------------
 
 export default async (req, res) => {
+  // Only Telegram knows the secret token set with setWebhook
+  if (!isWebhookAuthorized(req, TELEGRAM_WEBHOOK_SECRET)) {
+    console.error(
+      TELEGRAM_WEBHOOK_SECRET
+        ? "Refused a webhook request without the right secret token"
+        : "Refused a webhook request: TELEGRAM_WEBHOOK_SECRET is not set"
+    );
+    return res.status(401).send("Unauthorized");
+  }
+
   try {
     await bot.handleUpdate(req.body, res);
 
@@ -0,0 +1,96 @@
+// lib/accounts.js
+
+// Accounts everyone has. Users can add their own (e.g. "BPI", "Metrobank").
+export const DEFAULT_ACCOUNTS = ["Cash", "GCash", "Maya", "Card"];
+
+export const MAX_CUSTOM_ACCOUNTS = 10;
+
+// Other ways people name the default accounts
+const ACCOUNT_ALIASES = {
+  cash: "Cash",
+  gcash: "GCash",
+  "g-cash": "GCash",
+  maya: "Maya",
+  paymaya: "Maya",
+  card: "Card",
+  "credit card": "Card",
+  "debit card": "Card",
+  cc: "Card",
+};
+
+/**
+ * Returns every account a user can pick, in display order.
+ * @param {object} settings - The user's settings ({ accounts }).
+ */
+export const getAccounts = (settings) => [
+  ...DEFAULT_ACCOUNTS,
+  ...settings.accounts,
+];
+
+/**
+ * Finds an account by name or alias, ignoring case.
+ * @returns {string|undefined} The account as spelled in the list.
+ */
+export const findAccount = (accounts, name) => {
+  const text = String(name || "")
+    .trim()
+    .toLowerCase();
+  if (!text) return undefined;
+  return (
+    accounts.find((account) => account.toLowerCase() === text) ||
+    accounts.find((account) => account === ACCOUNT_ALIASES[text])
+  );
+};
+
+/**
+ * Finds the account a message says was used, e.g. "paid via gcash",
+ * "grab 250 card", for the offline parser.
+ * @returns {string|undefined}
+ */
+export const findAccountInText = (accounts, text) => {
+  const words = ` ${String(text)
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s-]/gu, " ")
+    .replace(/\s+/g, " ")} `;
+  const names = [
+    ...Object.keys(ACCOUNT_ALIASES),
+    ...accounts.map((account) => account.toLowerCase()),
+  ].sort((a, b) => b.length - a.length); // "credit card" before "card"
+  const match = names.find((name) => words.includes(` ${name} `));
+  return match ? findAccount(accounts, match) : undefined;
+};
+
+/**
+ * Checks the name of a new account. Names are one word so commands can
+ * take them as an argument.
+ * @returns {string|null} The name, or null if it can't be used.
+ */
+export const parseAccountName = (name) => {
+  const cleaned = String(name || "").trim();
+  return /^[\p{L}\p{N}][\p{L}\p{N}&'+.-]{0,19}$/u.test(cleaned)
+    ? cleaned
+    : null;
+};
+
+/**
+ * Works out the account of a new record: the one mentioned in the message
+ * if it's known, otherwise the user's default ("" if there is none).
+ */
+export const resolveRecordAccount = (account, accounts, defaultAccount) =>
+  findAccount(accounts, account) || defaultAccount || "";
+
+/**
+ * Sums the amounts of records per account, largest first. Records without
+ * an account are listed as "Unspecified".
+ * @returns {Array<object>} { account, amount }
+ */
+export const calculateAccountTotals = (records) => {
+  const totals = {};
+  records.forEach((record) => {
+    const account = record.account || "Unspecified";
+    totals[account] = (totals[account] || 0) + record.amount;
+  });
+  return Object.entries(totals)
+    .map(([account, amount]) => ({ account, amount }))
+    .sort((a, b) => b.amount - a.amount);
+};
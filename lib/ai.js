@@ -0,0 +1,98 @@
+// lib/ai.js
+
+export const GEMINI_MODEL = "gemini-2.5-flash"; // Lighter model, sufficient for expense parsing
+
+// Rate limiting for Gemini API
+const GEMINI_MIN_DELAY = 2000; // 2 seconds between calls
+let lastGeminiCall = 0;
+
+let aiClient = null;
+
+/**
+ * Sets the Gemini client used by every AI call. Tests can pass an object
+ * with a `models.generateContent(request)` method that resolves to
+ * `{ text }` to run without network access or an API key.
+ */
+export const setAIClient = (client) => {
+  aiClient = client;
+};
+
+/**
+ * Thrown when Gemini stays overloaded or rate limited after every retry.
+ * Callers can fall back to offline parsing when they see it.
+ */
+export class AIUnavailableError extends Error {
+  constructor(cause) {
+    super(cause.message);
+    this.name = "AIUnavailableError";
+    this.cause = cause;
+  }
+}
+
+/**
+ * Tells whether a Gemini error is worth retrying (503 or rate limit).
+ */
+const isRetryableError = (error) =>
+  error.message.includes("503") ||
+  error.message.includes("overloaded") ||
+  error.message.includes("UNAVAILABLE") ||
+  error.message.includes("rate limit") ||
+  error.message.includes("429");
+
+/**
+ * Sends a request to Gemini and parses its JSON answer, with rate limiting
+ * and exponential backoff while the service is overloaded.
+ * @param {object} request - `contents` and `config` for generateContent();
+ *   JSON output is switched on, pass the schema as `config.responseSchema`.
+ * @param {object} [options]
+ * @param {number} [options.maxRetries] - Attempts before giving up.
+ * @throws {AIUnavailableError} When every attempt hit an overload or rate limit.
+ * @returns {any} The parsed JSON.
+ */
+export const generateJson = async (
+  { contents, config = {} },
+  { maxRetries = 3 } = {}
+) => {
+  if (!aiClient) {
+    throw new Error("Gemini client is not configured");
+  }
+
+  // Rate limiting check
+  const timeSinceLastCall = Date.now() - lastGeminiCall;
+  if (timeSinceLastCall < GEMINI_MIN_DELAY) {
+    const waitTime = GEMINI_MIN_DELAY - timeSinceLastCall;
+    console.log(`Rate limiting: waiting ${waitTime}ms`);
+    await new Promise((resolve) => setTimeout(resolve, waitTime));
+  }
+  lastGeminiCall = Date.now();
+
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    try {
+      const response = await aiClient.models.generateContent({
+        model: GEMINI_MODEL,
+        contents,
+        config: { responseMimeType: "application/json", ...config },
+      });
+
+      return JSON.parse(response.text.trim());
+    } catch (error) {
+      console.log(
+        `Gemini API attempt ${attempt}/${maxRetries} failed:`,
+        error.message
+      );
+
+      // If it's not a retryable error, throw immediately
+      if (!isRetryableError(error)) throw error;
+
+      if (attempt === maxRetries) {
+        console.log("Gemini API exhausted");
+        throw new AIUnavailableError(error);
+      }
+
+      // Increased exponential backoff for overloaded servers
+      const waitTime = Math.pow(3, attempt) * 2000; // 6s, 18s, 54s
+      console.log(`Server overloaded, waiting ${waitTime}ms before retry...`);
+      await new Promise((resolve) => setTimeout(resolve, waitTime));
+    }
+  }
+};
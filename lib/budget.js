@@ -0,0 +1,81 @@
+// lib/budget.js
+
+import { endOfMonth, startOfMonth } from "./dates.js";
+import { escapeHtml, formatPeso } from "./format.js";
+import {
+  calculateCategoryTotals,
+  filterRecordsByDate,
+  getExpenses,
+  sumAmounts,
+} from "./report.js";
+
+// Share of a budget at which the confirmation starts warning
+export const BUDGET_WARNING_SHARE = 0.8;
+
+export const EMPTY_BUDGETS = { total: null, categories: {} };
+
+/**
+ * Computes how much of each monthly budget has been used this month.
+ * @param {Array<object>} records - Every record of the ledger.
+ * @param {object} budgets - { total, categories: { [category]: limit } }.
+ * @param {string} today - Today's date in Manila, "YYYY-MM-DD".
+ * @returns {Array<object>} One { name, limit, spent, remaining, share, overall } per budget, overall last.
+ */
+export const getBudgetStatus = (records, budgets, today) => {
+  const monthRecords = getExpenses(
+    filterRecordsByDate(records, startOfMonth(today), endOfMonth(today))
+  );
+  const categoryTotals = calculateCategoryTotals(monthRecords);
+  const monthTotal = sumAmounts(monthRecords);
+
+  const toStatus = (name, limit, spent, overall = false) => ({
+    name,
+    limit,
+    spent,
+    remaining: limit - spent,
+    share: limit > 0 ? spent / limit : 1,
+    overall,
+  });
+
+  const statuses = Object.entries(budgets.categories || {}).map(
+    ([category, limit]) =>
+      toStatus(category, limit, categoryTotals[category] || 0)
+  );
+  if (budgets.total) {
+    statuses.push(toStatus("Overall", budgets.total, monthTotal, true));
+  }
+  return statuses;
+};
+
+/**
+ * Formats one budget status line, with a warning from 80% and an alert
+ * from 100% of the limit.
+ */
+export const formatBudgetLine = ({ name, limit, spent, remaining, share }) => {
+  const percent = `${Math.round(share * 100)}%`;
+  if (share >= 1) {
+    return `🚨 ${escapeHtml(name)}: over budget by ${formatPeso(
+      -remaining
+    )} (${formatPeso(spent)} of ${formatPeso(limit)}, ${percent})`;
+  }
+  const icon = share >= BUDGET_WARNING_SHARE ? "⚠️" : "💰";
+  return `${icon} ${escapeHtml(name)}: ${formatPeso(
+    remaining
+  )} left of ${formatPeso(limit)} (${percent} used)`;
+};
+
+/**
+ * Formats the budget lines to show after logging expenses: the budgets of
+ * the categories that were just used, plus the overall budget.
+ * @returns {string} The lines, or "" when there is nothing to show.
+ */
+export const formatBudgetAlerts = (records, budgets, today, newRecords) => {
+  const newExpenses = getExpenses(newRecords);
+  if (newExpenses.length === 0) return ""; // Income doesn't use up budgets
+
+  const touched = new Set(newExpenses.map((record) => record.category));
+  return getBudgetStatus(records, budgets, today)
+    .filter(({ name, overall }) => overall || touched.has(name))
+    .map(formatBudgetLine)
+    .join("\n");
+};
@@ -0,0 +1,206 @@
+// lib/categories.js
+
+// Built-in categories. Custom ones are listed before "Other", which stays last.
+export const DEFAULT_CATEGORIES = [
+  "Food",
+  "Transportation",
+  "Supplies",
+  "Utilities",
+  "Personal",
+  "Other",
+];
+
+const FALLBACK_CATEGORY = "Other";
+
+// Category of every income record; it isn't offered for expenses
+export const INCOME_CATEGORY = "Income";
+
+// Words that mark a message as money received, e.g. "sweldo 25000",
+// "received 500 from Ana" (matched as whole words)
+const INCOME_KEYWORDS = [
+  "sweldo",
+  "sahod",
+  "salary",
+  "payroll",
+  "received",
+  "natanggap",
+  "refund",
+  "income",
+  "bonus",
+];
+
+// Keywords the offline parser recognises in descriptions (matched anywhere)
+const CATEGORY_KEYWORDS = {
+  Food: ["food", "lunch", "dinner", "meal", "eat"],
+  Transportation: ["taxi", "bus", "transport", "fare"],
+  Supplies: ["office", "work", "supplies"],
+  Utilities: ["bill", "electric", "water", "internet"],
+  Personal: ["personal", "health", "medical"],
+};
+
+export const MAX_CUSTOM_CATEGORIES = 20;
+export const MAX_RULES = 200;
+
+// Rules sent along with each Gemini prompt, newest first
+const MAX_PROMPT_RULES = 50;
+
+/**
+ * A ledger's category settings: its custom categories and its merchant rules,
+ * { keyword, category, learned } where `learned` marks rules picked up from
+ * recategorized expenses rather than added with /rules.
+ */
+export const EMPTY_CATEGORY_CONFIG = { custom: [], rules: [] };
+
+/**
+ * Returns every category a ledger can use, in display order.
+ */
+export const getCategories = (config) => [
+  ...DEFAULT_CATEGORIES.filter((cat) => cat !== FALLBACK_CATEGORY),
+  ...config.custom,
+  FALLBACK_CATEGORY,
+];
+
+/**
+ * Finds a category by name, ignoring case.
+ * @returns {string|undefined} The category as spelled in the list.
+ */
+export const findCategory = (categories, name) =>
+  categories.find(
+    (cat) => cat.toLowerCase() === String(name).trim().toLowerCase()
+  );
+
+/**
+ * Checks the name of a new custom category, e.g. "Baby", "Pets", "Load/Data".
+ * Names are one word, so commands can take them as an argument, and short,
+ * so they fit in button callbacks.
+ * @returns {string|null} The cleaned-up name, or null if it can't be used.
+ */
+export const parseCategoryName = (name) => {
+  const cleaned = String(name || "").trim();
+  return /^[\p{L}\p{N}][\p{L}\p{N}&/'+.-]{0,19}$/u.test(cleaned) &&
+    Buffer.byteLength(cleaned) <= 30
+    ? cleaned
+    : null;
+};
+
+/**
+ * Tells whether a message records money received rather than spent.
+ */
+export const isIncomeText = (text) => {
+  const words = ` ${String(text || "")
+    .toLowerCase()
+    .replace(/[^\p{L}\s]/gu, " ")
+    .replace(/\s+/g, " ")} `;
+  return INCOME_KEYWORDS.some((keyword) => words.includes(` ${keyword} `));
+};
+
+/**
+ * Reduces a description to the words a merchant rule matches on, e.g.
+ * "Jollibee Chickenjoy 2pc" -> "jollibee chickenjoy pc".
+ */
+export const normalizeMerchant = (text) =>
+  String(text || "")
+    .toLowerCase()
+    .replace(/[^\p{L}\s]/gu, " ")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, 40)
+    .trim();
+
+/**
+ * Finds the category of the rule that matches a description. A rule matches
+ * when its keyword appears as whole words; the longest keyword wins.
+ * @returns {string|null}
+ */
+export const matchRule = (rules, description) => {
+  const words = ` ${normalizeMerchant(description)} `;
+  const matches = rules.filter(({ keyword }) => words.includes(` ${keyword} `));
+  if (matches.length === 0) return null;
+  return matches.reduce((best, rule) =>
+    rule.keyword.length > best.keyword.length ? rule : best
+  ).category;
+};
+
+/**
+ * Guesses an expense category offline: merchant rules first, then keywords.
+ */
+export const guessCategory = (text, config = EMPTY_CATEGORY_CONFIG) => {
+  const ruleCategory = matchRule(config.rules, text);
+  if (ruleCategory) return ruleCategory;
+
+  const lowerText = String(text).toLowerCase();
+  const match = Object.entries(CATEGORY_KEYWORDS).find(([, keywords]) =>
+    keywords.some((keyword) => lowerText.includes(keyword))
+  );
+  return match ? match[0] : FALLBACK_CATEGORY;
+};
+
+/**
+ * Applies the merchant rules to parsed records, so a rule always wins over
+ * Gemini's guess. Categories that no longer exist fall back to "Other";
+ * income always goes under "Income".
+ */
+export const applyCategoryRules = (records, config) => {
+  const categories = getCategories(config);
+  return records.map((record) => {
+    const type = record.type === "income" ? "income" : "expense";
+    return {
+      ...record,
+      type,
+      category:
+        type === "income"
+          ? INCOME_CATEGORY
+          : matchRule(config.rules, record.description) ||
+            findCategory(categories, record.category) ||
+            FALLBACK_CATEGORY,
+    };
+  });
+};
+
+/**
+ * Adds a merchant rule, replacing any rule with the same keyword. The oldest
+ * rules are dropped past MAX_RULES.
+ * @returns {object} The updated config.
+ */
+export const addRule = (
+  config,
+  keyword,
+  category,
+  { learned = false } = {}
+) => {
+  const rules = config.rules.filter((rule) => rule.keyword !== keyword);
+  return {
+    ...config,
+    rules: [...rules, { keyword, category, learned }].slice(-MAX_RULES),
+  };
+};
+
+/**
+ * Learns a rule from a recategorized expense: the next expense with the same
+ * description gets the same category.
+ * @returns {object} The updated config (unchanged if the description has no words).
+ */
+export const learnRule = (config, description, category) => {
+  const keyword = normalizeMerchant(description);
+  const existing = config.rules.find((rule) => rule.keyword === keyword);
+  // Rules added by hand are only changed by hand
+  if (keyword.length < 3 || (existing && !existing.learned)) return config;
+  return addRule(config, keyword, category, { learned: true });
+};
+
+/**
+ * Describes the categories and rules for a Gemini prompt.
+ */
+export const describeCategoriesForPrompt = (config) => {
+  const categories = getCategories(config)
+    .map((cat) => `"${cat}"`)
+    .join("|");
+  const rules = config.rules
+    .slice(-MAX_PROMPT_RULES)
+    .reverse()
+    .map(({ keyword, category }) => `"${keyword}" is ${category}`)
+    .join("; ");
+  return `Categories: ${categories}.${
+    rules ? ` Known merchants: ${rules}.` : ""
+  }`;
+};
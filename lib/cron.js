@@ -0,0 +1,23 @@
+// lib/cron.js
+
+import { timingSafeEqual } from "crypto";
+
+/**
+ * Checks the secret that Vercel Cron sends as
+ * "Authorization: Bearer <CRON_SECRET>", so only the scheduler can trigger
+ * the scheduled jobs.
+ * @param {object} req - The incoming request.
+ * @param {string} [secret] - Defaults to the CRON_SECRET environment variable.
+ */
+export const isCronAuthorized = (req, secret = process.env.CRON_SECRET) => {
+  if (!secret) {
+    console.error("CRON_SECRET is not set, refusing to run scheduled jobs");
+    return false;
+  }
+
+  const expected = Buffer.from(`Bearer ${secret}`);
+  const received = Buffer.from(String(req.headers.authorization || ""));
+  return (
+    received.length === expected.length && timingSafeEqual(received, expected)
+  );
+};
@@ -0,0 +1,34 @@
+// lib/csv.js
+
+import { Readable } from "stream";
+import csvParser from "csv-parser";
+import { createArrayCsvStringifier } from "csv-writer";
+
+/**
+ * Serializes rows as RFC 4180 CSV: fields containing commas, quotes or line
+ * breaks are quoted, with their quotes doubled.
+ * @param {Array<Array>} rows - One array of field values per row.
+ * @returns {string} The CSV text, every row ending in "\n".
+ */
+export const stringifyCsv = (rows) =>
+  createArrayCsvStringifier({}).stringifyRecords(rows);
+
+/**
+ * Parses CSV text into rows of strings. Quoted fields may contain commas,
+ * doubled quotes and line breaks. Blank lines are skipped; every other
+ * line is data, even one starting with "#".
+ * @param {string} content - The CSV text.
+ * @returns {Promise<Array<Array<string>>>} One array of fields per row.
+ */
+export const parseCsv = (content) =>
+  new Promise((resolve, reject) => {
+    const rows = [];
+    Readable.from([content])
+      .pipe(csvParser({ headers: false }))
+      .on("data", (row) => {
+        const fields = Object.values(row); // Keyed by column index
+        if (fields.length > 0) rows.push(fields);
+      })
+      .on("end", () => resolve(rows))
+      .on("error", reject);
+  });
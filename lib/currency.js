@@ -0,0 +1,218 @@
+// lib/currency.js
+
+import { FIXTURE_RATES } from "./rates-fixture.js";
+
+// Every total, budget and report is in pesos
+export const BASE_CURRENCY = "PHP";
+
+export const RATE_PROVIDERS = ["fixture", "http"];
+
+// Daily rates from ExchangeRate-API's open endpoint, which needs no key
+export const DEFAULT_RATES_URL = "https://open.er-api.com/v6/latest/USD";
+
+// Symbols and words the offline parser recognises, longest first
+const CURRENCY_ALIASES = [
+  ["us$", "USD"],
+  ["s$", "SGD"],
+  ["hk$", "HKD"],
+  ["a$", "AUD"],
+  ["₱", "PHP"],
+  ["$", "USD"],
+  ["¥", "JPY"],
+  ["€", "EUR"],
+  ["£", "GBP"],
+  ["₩", "KRW"],
+  ["฿", "THB"],
+  ["dollars", "USD"],
+  ["dollar", "USD"],
+  ["yen", "JPY"],
+  ["euros", "EUR"],
+  ["euro", "EUR"],
+  ["baht", "THB"],
+  ["pesos", "PHP"],
+  ["peso", "PHP"],
+];
+
+/**
+ * Reads a currency code like "usd" or "JPY".
+ * @returns {string|null} The upper-case ISO 4217 code, or null.
+ */
+export const parseCurrencyCode = (code) => {
+  const cleaned = String(code || "")
+    .trim()
+    .toUpperCase();
+  return /^[A-Z]{3}$/.test(cleaned) ? cleaned : null;
+};
+
+/**
+ * Finds the currency a message was paid in, e.g. "$12", "1500 yen",
+ * "coffee 5 sgd", for the offline parser.
+ * @param {Array<string>} [codes] - Currency codes to look for as words.
+ * @returns {object|null} { currency, match } where match is the text to
+ *   drop from the description, or null when no currency is mentioned.
+ */
+export const findCurrencyInText = (
+  text,
+  codes = Object.keys(FIXTURE_RATES.rates)
+) => {
+  const lower = String(text).toLowerCase();
+  const alias = CURRENCY_ALIASES.find(([name]) =>
+    /^\p{L}+$/u.test(name)
+      ? new RegExp(`\\b${name}\\b`).test(lower)
+      : lower.includes(name)
+  );
+  if (alias) return { currency: alias[1], match: alias[0] };
+
+  const code = codes.find((candidate) =>
+    new RegExp(`\\b${candidate.toLowerCase()}\\b`).test(lower)
+  );
+  return code ? { currency: code, match: code.toLowerCase() } : null;
+};
+
+/**
+ * Turns a provider's answer into pesos per unit of each currency.
+ * Accepts any base, as long as it includes PHP, e.g. { base: "USD",
+ * rates: { PHP: 58.1, JPY: 149.2 } } gives { USD: 58.1, JPY: 0.3894, ... }.
+ */
+export const toPesoRates = ({ base, rates }) => {
+  const baseCode = parseCurrencyCode(base);
+  const pesosPerBase = baseCode === BASE_CURRENCY ? 1 : rates[BASE_CURRENCY];
+  if (!baseCode || !(pesosPerBase > 0)) {
+    throw new Error(`Exchange rates must include ${BASE_CURRENCY}`);
+  }
+
+  const pesoRates = { [baseCode]: pesosPerBase };
+  Object.entries(rates).forEach(([code, rate]) => {
+    const currency = parseCurrencyCode(code);
+    if (currency && rate > 0) {
+      pesoRates[currency] = Math.round((pesosPerBase / rate) * 1e6) / 1e6;
+    }
+  });
+  delete pesoRates[BASE_CURRENCY];
+  return pesoRates;
+};
+
+/**
+ * Creates the exchange rate provider selected by the RATE_PROVIDER setting.
+ *
+ * Every provider exposes fetchRates() -> { asOf, source, rates } where rates
+ * are pesos per unit of each currency, e.g. { USD: 58.1, JPY: 0.39 }.
+ *   http    - a JSON endpoint answering { base, rates } (or base_code)
+ *   fixture - the static table in rates-fixture.js (offline, for tests only)
+ *
+ * @param {object} options
+ * @param {string} [options.provider] - "http" (default) or "fixture".
+ * @param {string} [options.url] - The endpoint for the http provider.
+ */
+export const createRateProvider = ({
+  provider = "http",
+  url = DEFAULT_RATES_URL,
+} = {}) => {
+  switch (provider) {
+    case "fixture":
+      return {
+        fetchRates: async () => ({
+          asOf: FIXTURE_RATES.asOf,
+          source: "fixture",
+          rates: toPesoRates(FIXTURE_RATES),
+        }),
+      };
+    case "http":
+      if (!url) {
+        throw new Error("RATES_URL is required when RATE_PROVIDER=http");
+      }
+      return {
+        fetchRates: async () => {
+          const response = await fetch(url);
+          if (!response.ok) {
+            throw new Error(
+              `Rate provider failed: HTTP ${response.status}: ${response.statusText}`
+            );
+          }
+          const body = await response.json();
+          return {
+            asOf: new Date().toISOString(),
+            source: new URL(url).hostname,
+            rates: toPesoRates({
+              base: body.base || body.base_code,
+              rates: body.rates,
+            }),
+          };
+        },
+      };
+    default:
+      throw new Error(
+        `Unknown RATE_PROVIDER "${provider}". Use one of: ${RATE_PROVIDERS.join(
+          ", "
+        )}`
+      );
+  }
+};
+
+/**
+ * Converts parsed records to pesos, keeping what was actually paid in
+ * originalAmount and currency, and the rate used. Records without a
+ * currency are in pesos.
+ * @param {Array<object>} records - Parsed records; amount is in `currency`.
+ * @param {object} rates - Pesos per unit, { [currency]: rate }.
+ * @returns {object} { records, missing } where missing lists the currencies
+ *   without a rate (their records are left out).
+ */
+export const convertToPesos = (records, rates) => {
+  const missing = new Set();
+  const converted = records.flatMap((record) => {
+    const currency = parseCurrencyCode(record.currency) || BASE_CURRENCY;
+    const rate = currency === BASE_CURRENCY ? 1 : rates[currency];
+    if (!rate) {
+      missing.add(currency);
+      return [];
+    }
+    return [
+      {
+        ...record,
+        amount: Math.round(record.amount * rate * 100) / 100,
+        originalAmount: record.amount,
+        currency,
+        rate,
+      },
+    ];
+  });
+  return { records: converted, missing: [...missing] };
+};
+
+/**
+ * Tells whether any parsed record was paid in a foreign currency.
+ */
+export const needsConversion = (records) =>
+  records.some(
+    (record) =>
+      (parseCurrencyCode(record.currency) || BASE_CURRENCY) !== BASE_CURRENCY
+  );
+
+/**
+ * Changes what was paid for a record, in its own currency, converting it at
+ * the rate it was logged with.
+ */
+export const setOriginalAmount = (record, originalAmount) => {
+  const rate = record.rate || 1;
+  return {
+    ...record,
+    originalAmount,
+    amount: Math.round(originalAmount * rate * 100) / 100,
+  };
+};
+
+/**
+ * Formats what was paid in a foreign currency, e.g. "USD 15.00", or ""
+ * for peso records.
+ */
+export const formatOriginalAmount = (record) =>
+  record.currency && record.currency !== BASE_CURRENCY
+    ? `${record.currency} ${record.originalAmount.toFixed(2)}`
+    : "";
+
+/**
+ * Formats a rate for chat replies, e.g. "1 USD = PHP 58.1000".
+ */
+export const formatRate = (currency, rate) =>
+  `1 ${currency} = PHP ${rate.toFixed(4)}`;
@@ -0,0 +1,299 @@
+// lib/dates.js
+
+// Every "today", "this week" or "this month" is in Philippine time
+export const TIME_ZONE = "Asia/Manila";
+
+const MONTH_NAMES = [
+  "Jan",
+  "Feb",
+  "Mar",
+  "Apr",
+  "May",
+  "Jun",
+  "Jul",
+  "Aug",
+  "Sep",
+  "Oct",
+  "Nov",
+  "Dec",
+];
+
+/**
+ * Returns the calendar date in Manila as "YYYY-MM-DD".
+ * @param {Date} [date] - The moment to convert (defaults to now).
+ */
+export const getManilaDate = (date = new Date()) =>
+  new Intl.DateTimeFormat("en-CA", {
+    timeZone: TIME_ZONE,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).format(date);
+
+/**
+ * Returns the hour of the day in Manila (0-23).
+ * @param {Date} [date] - The moment to convert (defaults to now).
+ */
+export const getManilaHour = (date = new Date()) =>
+  Number(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone: TIME_ZONE,
+      hour: "numeric",
+      hourCycle: "h23",
+    }).format(date)
+  );
+
+/**
+ * Converts a stored date to "YYYY-MM-DD".
+ * Accepts ISO dates and the "M/D/YYYY" dates older records were saved with.
+ * @returns {string|null} The ISO date, or null if it can't be read.
+ */
+export const normalizeDate = (value) => {
+  const text = String(value || "").trim();
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  let year, month, day;
+  if (match) {
+    [, year, month, day] = match.map(Number);
+  } else if ((match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/))) {
+    [, month, day, year] = match.map(Number);
+  } else {
+    return null;
+  }
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null; // e.g. 2026-02-30
+  }
+  return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Adds (or subtracts) days to an ISO date.
+ */
+export const addDays = (isoDate, days) => {
+  const date = new Date(`${isoDate}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Counts the days from start to end, both included.
+ */
+export const countDays = (start, end) =>
+  Math.round(
+    (new Date(`${end}T00:00:00Z`) - new Date(`${start}T00:00:00Z`)) / 86400000
+  ) + 1;
+
+/**
+ * Returns the day of the week of an ISO date (0 = Sunday).
+ */
+export const getWeekday = (isoDate) =>
+  new Date(`${isoDate}T00:00:00Z`).getUTCDay();
+
+/**
+ * Returns the first day of the month of an ISO date.
+ */
+export const startOfMonth = (isoDate) => `${isoDate.slice(0, 7)}-01`;
+
+/**
+ * Returns the last day of the month of an ISO date.
+ */
+export const endOfMonth = (isoDate) => {
+  const [year, month] = isoDate.split("-").map(Number);
+  return new Date(Date.UTC(year, month, 0)).toISOString().slice(0, 10);
+};
+
+/**
+ * Shifts an ISO date by whole months, clamping the day to the month's length
+ * (e.g. Mar 31 minus one month is Feb 28).
+ */
+export const addMonths = (isoDate, months) => {
+  const [year, month, day] = isoDate.split("-").map(Number);
+  const first = new Date(Date.UTC(year, month - 1 + months, 1))
+    .toISOString()
+    .slice(0, 10);
+  const lastDay = Number(endOfMonth(first).slice(8));
+  return `${first.slice(0, 8)}${String(Math.min(day, lastDay)).padStart(
+    2,
+    "0"
+  )}`;
+};
+
+/**
+ * Formats an ISO date for chat replies, e.g. "Oct 19, 2026".
+ */
+export const formatDate = (isoDate) => {
+  const [year, month, day] = isoDate.split("-").map(Number);
+  return `${MONTH_NAMES[month - 1]} ${day}, ${year}`;
+};
+
+/**
+ * Formats a date range for chat replies, e.g. "Oct 1 – Oct 19, 2026".
+ */
+export const formatDateRange = (start, end) => {
+  if (start === end) return formatDate(start);
+  const startText =
+    start.slice(0, 4) === end.slice(0, 4)
+      ? formatDate(start).replace(/, \d{4}$/, "")
+      : formatDate(start);
+  return `${startText} – ${formatDate(end)}`;
+};
+
+// Short forms like "sun" or "sat" are left out, they show up in descriptions
+const WEEKDAYS = [
+  ["sunday", "linggo"],
+  ["monday", "lunes"],
+  ["tuesday", "tues", "martes"],
+  ["wednesday", "wed", "miyerkules", "miyerkoles"],
+  ["thursday", "thurs", "huwebes"],
+  ["friday", "biyernes"],
+  ["saturday", "sabado"],
+];
+
+// English "may" is left out: in Taglish it usually means "there is"
+const MONTHS = [
+  ["january", "jan", "enero"],
+  ["february", "feb", "pebrero"],
+  ["march", "mar", "marso"],
+  ["april", "apr", "abril"],
+  ["mayo"],
+  ["june", "jun", "hunyo"],
+  ["july", "jul", "hulyo"],
+  ["august", "aug", "agosto"],
+  ["september", "sep", "sept", "setyembre"],
+  ["october", "oct", "oktubre"],
+  ["november", "nov", "nobyembre"],
+  ["december", "dec", "disyembre"],
+];
+
+const WEEKDAY_PATTERN = WEEKDAYS.flat().join("|");
+const MONTH_PATTERN = MONTHS.flat().join("|");
+
+const findIndex = (table, word) =>
+  table.findIndex((names) => names.includes(word.toLowerCase()));
+
+/**
+ * Reads a weekday name in English or Tagalog (0 = Sunday).
+ * @returns {number} The weekday, or -1 if the word isn't one.
+ */
+export const parseWeekday = (word) => findIndex(WEEKDAYS, word);
+
+/**
+ * Reads a month name in English or Tagalog (1 = January).
+ * @returns {number} The month, or 0 if the word isn't one.
+ */
+export const parseMonth = (word) => findIndex(MONTHS, word) + 1;
+
+/**
+ * Builds an ISO date from parts, or null if the date doesn't exist.
+ * Without a year, picks the latest such date that isn't after today.
+ */
+const buildDate = (year, month, day, today) => {
+  const candidate = (y) =>
+    normalizeDate(
+      `${y}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`
+    );
+  if (year) return candidate(year < 100 ? 2000 + year : year);
+
+  const thisYear = Number(today.slice(0, 4));
+  const date = candidate(thisYear);
+  return date && date > today ? candidate(thisYear - 1) : date;
+};
+
+// Each rule turns a match into a date, relative to today (Manila)
+const DATE_RULES = [
+  // 2026-10-05
+  [/\b(\d{4})-(\d{1,2})-(\d{1,2})\b/, (m) => normalizeDate(m[0])],
+  // 10/5/2026, 10/5 (month first, like en-PH)
+  [
+    /\b(\d{1,2})\/(\d{1,2})(?:\/(\d{2}|\d{4}))?\b/,
+    (m, today) =>
+      buildDate(m[3] && Number(m[3]), Number(m[1]), Number(m[2]), today),
+  ],
+  // Oct 5, October 5 2026, Oktubre 5
+  [
+    new RegExp(
+      `\\b(${MONTH_PATTERN})\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?\\b`,
+      "i"
+    ),
+    (m, today) =>
+      buildDate(
+        m[3] && Number(m[3]),
+        findIndex(MONTHS, m[1]) + 1,
+        Number(m[2]),
+        today
+      ),
+  ],
+  // 5 Oct, 5th of October 2026
+  [
+    new RegExp(
+      `\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?(${MONTH_PATTERN})\\b(?:,?\\s+(\\d{4}))?`,
+      "i"
+    ),
+    (m, today) =>
+      buildDate(
+        m[3] && Number(m[3]),
+        findIndex(MONTHS, m[2]) + 1,
+        Number(m[1]),
+        today
+      ),
+  ],
+  // day before yesterday, kamakalawa
+  [
+    /\b(?:(?:the\s+)?day\s+before\s+yesterday|kamakalawa)\b/i,
+    (m, today) => addDays(today, -2),
+  ],
+  // yesterday, kahapon
+  [/\b(?:yesterday|kahapon)\b/i, (m, today) => addDays(today, -1)],
+  // today, ngayon, kanina
+  [/\b(?:today|ngayong\s+araw|ngayon|kanina)\b/i, (m, today) => today],
+  // 3 days ago, 3 araw na ang nakalipas
+  [
+    /\b(\d{1,3})\s+(?:days?\s+ago|araw\s+na\s+(?:ang\s+)?nakalipas)\b/i,
+    (m, today) => addDays(today, -Number(m[1])),
+  ],
+  // last week, noong isang linggo (before weekdays, since "linggo" is also Sunday)
+  [
+    /\b(?:a\s+week\s+ago|last\s+week|(?:noong|nung)\s+isang\s+linggo|nakaraang\s+linggo)\b/i,
+    (m, today) => addDays(today, -7),
+  ],
+  // last Saturday, noong Sabado, nung Sabado, Saturday
+  [
+    new RegExp(
+      `\\b(?:(?:last|noong|nung|nitong|this\\s+past)\\s+)?(${WEEKDAY_PATTERN})\\b`,
+      "i"
+    ),
+    (m, today) => {
+      // The most recent such day before today
+      const back = (getWeekday(today) - findIndex(WEEKDAYS, m[1]) + 7) % 7 || 7;
+      return addDays(today, -back);
+    },
+  ],
+];
+
+/**
+ * Finds a date mentioned in free text, in English or Tagalog, e.g.
+ * "kahapon", "last Saturday", "3 days ago", "Oct 5" or "2026-10-05".
+ * @param {string} text - The text to search.
+ * @param {string} today - Today's date in Manila, "YYYY-MM-DD".
+ * @returns {object|null} { date: "YYYY-MM-DD", match: the phrase found }, or null.
+ */
+export const parseDateExpression = (text, today) => {
+  for (const [pattern, toDate] of DATE_RULES) {
+    const match = String(text || "").match(pattern);
+    if (!match) continue;
+
+    const date = toDate(match, today);
+    if (date) return { date, match: match[0] };
+  }
+  return null;
+};
+
+/**
+ * Resolves the date of a new record: an ISO or M/D/YYYY date as-is, a
+ * phrase like "kahapon" relative to today, and today otherwise.
+ */
+export const resolveRecordDate = (value, today) =>
+  normalizeDate(value) ||
+  (parseDateExpression(value, today) || {}).date ||
+  today;
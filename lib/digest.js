@@ -0,0 +1,155 @@
+// lib/digest.js
+
+import { getWeekday } from "./dates.js";
+
+// Default hour (Manila time) for digests, and the hour of the evening nudge
+export const DEFAULT_DIGEST_HOUR = 8;
+export const NUDGE_HOUR = 20;
+
+// No messages from 10 PM to 7 AM unless the user changes it
+export const DEFAULT_QUIET_HOURS = { start: 22, end: 7 };
+
+export const DEFAULT_DIGEST_SETTINGS = {
+  digest: "off", // "off", "daily" or "weekly"
+  digestHour: DEFAULT_DIGEST_HOUR,
+  nudge: false, // Evening "did you log today's expenses?" reminder
+  quietHours: DEFAULT_QUIET_HOURS, // null turns quiet hours off
+  lastDigest: null, // Manila dates of the last messages sent, so a
+  lastNudge: null, // retried job doesn't send them twice
+};
+
+/**
+ * Tells whether an hour falls within quiet hours, which may wrap past
+ * midnight (e.g. 22 to 7).
+ */
+export const isQuietHour = (hour, quietHours) => {
+  if (!quietHours || quietHours.start === quietHours.end) return false;
+  const { start, end } = quietHours;
+  return start < end
+    ? hour >= start && hour < end
+    : hour >= start || hour < end;
+};
+
+/**
+ * Reads an hour like "7", "7am", "8pm" or "20:00".
+ * @returns {number|null} The hour (0-23), or null if not understood.
+ */
+export const parseHour = (text) => {
+  const match = String(text || "")
+    .trim()
+    .toLowerCase()
+    .match(/^(\d{1,2})(?::00)?\s*(am|pm)?$/);
+  if (!match) return null;
+
+  let hour = Number(match[1]);
+  if (match[2]) {
+    if (hour < 1 || hour > 12) return null;
+    hour = (hour % 12) + (match[2] === "pm" ? 12 : 0);
+  }
+  return hour <= 23 ? hour : null;
+};
+
+/**
+ * Formats an hour for chat replies, e.g. "8 AM", "10 PM".
+ */
+export const formatHour = (hour) =>
+  `${hour % 12 || 12} ${hour < 12 ? "AM" : "PM"}`;
+
+/**
+ * Turns the arguments of /digest into settings changes.
+ * Accepts "on" (daily), "daily", "weekly", "off", "at 7am",
+ * "nudge on|off", "quiet 22-7" and "quiet off".
+ * @returns {object|null} The changes, {} to just show the settings, or null if not understood.
+ */
+export const parseDigestArgs = (args) => {
+  const words = args.trim().toLowerCase().split(/\s+/).filter(Boolean);
+  const [command, value] = words;
+
+  if (words.length === 0) return {};
+  if (words.length === 1 && ["on", "daily"].includes(command)) {
+    return { digest: "daily" };
+  }
+  if (words.length === 1 && ["weekly", "off"].includes(command)) {
+    return { digest: command };
+  }
+
+  if (command === "at" && words.length === 2) {
+    const hour = parseHour(value);
+    return hour === null ? null : { digestHour: hour };
+  }
+
+  if (command === "nudge" && ["on", "off"].includes(value)) {
+    return { nudge: value === "on" };
+  }
+
+  if (command === "quiet" && words.length === 2) {
+    if (value === "off") return { quietHours: null };
+    const match = value.match(/^([^-]+)-([^-]+)$/);
+    const start = match ? parseHour(match[1]) : null;
+    const end = match ? parseHour(match[2]) : null;
+    return start === null || end === null
+      ? null
+      : { quietHours: { start, end } };
+  }
+
+  return null;
+};
+
+/**
+ * Works out which scheduled messages are due for a user in the current hour.
+ * A digest whose hour falls within quiet hours is sent when they end;
+ * a nudge during quiet hours is skipped, since it would come too late.
+ * @param {object} settings - The user's settings (see DEFAULT_DIGEST_SETTINGS).
+ * @param {object} now - { today, hour } in Manila.
+ * @returns {object} { digest: "daily" | "weekly" | null, nudge: boolean }
+ */
+export const getDueMessages = (settings, { today, hour }) => {
+  const quiet = isQuietHour(hour, settings.quietHours);
+  const digestHour = isQuietHour(settings.digestHour, settings.quietHours)
+    ? settings.quietHours.end
+    : settings.digestHour;
+
+  let digest = null;
+  if (
+    settings.digest !== "off" &&
+    !quiet &&
+    hour === digestHour &&
+    settings.lastDigest !== today &&
+    (settings.digest === "daily" || getWeekday(today) === 1) // Weekly on Mondays
+  ) {
+    digest = settings.digest;
+  }
+
+  const nudge =
+    settings.nudge &&
+    !quiet &&
+    hour === NUDGE_HOUR &&
+    settings.lastNudge !== today;
+
+  return { digest, nudge };
+};
+
+/**
+ * Describes a user's digest settings for /digest.
+ */
+export const formatDigestSettings = (settings) => {
+  const quiet = settings.quietHours
+    ? `${formatHour(settings.quietHours.start)} – ${formatHour(
+        settings.quietHours.end
+      )}`
+    : "off";
+
+  return (
+    `📬 Digest: ${
+      settings.digest === "off"
+        ? "off"
+        : `${settings.digest} at ${formatHour(settings.digestHour)}${
+            settings.digest === "weekly" ? " on Mondays" : ""
+          }`
+    }\n` +
+    `🔔 Evening nudge: ${
+      settings.nudge ? `on (${formatHour(NUDGE_HOUR)})` : "off"
+    }\n` +
+    `🌙 Quiet hours: ${quiet} (Manila time)`
+  );
+};
@@ -0,0 +1,404 @@
+// lib/export.js
+
+import ExcelJS from "exceljs";
+import { formatDateRange, startOfMonth, getManilaDate } from "./dates.js";
+import { escapeHtml, formatPeso } from "./format.js";
+import {
+  LEDGER_CSV_COLUMNS,
+  LEDGER_SCHEMA_VERSION,
+  getLedgerRow,
+  generateLedgerCsv,
+  generateLedgerSummary,
+} from "./ledger.js";
+import {
+  calculateCategoryTotals,
+  filterRecordsByDate,
+  getExpenses,
+  isIncome,
+  sumAmounts,
+  formatNet,
+  resolveReportPeriod,
+} from "./report.js";
+
+// Formats offered by /export, with the file extension of each
+export const EXPORT_FORMATS = {
+  csv: "csv",
+  xlsx: "xlsx",
+  json: "json",
+  ofx: "ofx",
+  qif: "qif",
+  html: "html",
+  summary: "txt",
+};
+
+/**
+ * Turns the arguments of /export into a format and optional filters.
+ * Every part is optional: "/export", "/export xlsx", "/export qif last month",
+ * "/export html 2026-09-01 2026-09-30 Food".
+ * @param {string} args - The text after /export.
+ * @param {string} today - Today's date in Manila, "YYYY-MM-DD".
+ * @param {Array<string>} categories - The known categories.
+ * @returns {object|null} { format, period, category } where period and
+ *   category are null when not filtered, or null if the period is not understood.
+ */
+export const parseExportArgs = (args, today, categories) => {
+  const tokens = args.trim().split(/\s+/).filter(Boolean);
+
+  let format = "csv";
+  if (tokens.length > 0 && EXPORT_FORMATS[tokens[0].toLowerCase()]) {
+    format = tokens.shift().toLowerCase();
+  }
+
+  let category = null;
+  const last = tokens[tokens.length - 1];
+  const matched =
+    last && categories.find((cat) => cat.toLowerCase() === last.toLowerCase());
+  if (matched) {
+    category = matched;
+    tokens.pop();
+  }
+
+  const periodText = tokens.join(" ").toLowerCase();
+  if (!periodText || periodText === "all") {
+    // A statement without a period covers this month
+    const period =
+      format === "html" && !periodText
+        ? resolveReportPeriod("month", today)
+        : null;
+    return { format, period, category };
+  }
+
+  const period = resolveReportPeriod(periodText, today);
+  return period ? { format, period, category } : null;
+};
+
+/**
+ * Returns the records matching the export filters.
+ */
+export const filterExportRecords = (records, { period, category }) => {
+  const inPeriod = period
+    ? filterRecordsByDate(records, period.start, period.end)
+    : records;
+  return category
+    ? inPeriod.filter((record) => record.category === category)
+    : inPeriod;
+};
+
+/**
+ * Returns the date range covered by an export: the period if there is one,
+ * otherwise the range of the records' dates.
+ */
+const getExportRange = (records, period) => {
+  if (period) return { start: period.start, end: period.end };
+
+  const dates = records.map((record) => record.date).sort();
+  const today = getManilaDate();
+  return {
+    start: dates[0] || startOfMonth(today),
+    end: dates[dates.length - 1] || today,
+  };
+};
+
+/**
+ * Writes records as an Excel workbook with an "Expenses" sheet and a
+ * "Summary" sheet of category totals.
+ * @returns {Promise<Buffer>}
+ */
+const generateXlsx = async (records, { categories, creator }) => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = creator;
+  workbook.created = new Date();
+
+  const expenses = workbook.addWorksheet("Expenses");
+  const widths = [12, 40, 14, 14, 10, 10, 16, 12, 10, 10, 14];
+  expenses.columns = LEDGER_CSV_COLUMNS.map((header, index) => ({
+    header,
+    width: widths[index],
+  }));
+  records.forEach((record) => {
+    // Real dates sort and filter properly in Excel; unreadable ones stay text
+    const date = /^\d{4}-\d{2}-\d{2}$/.test(record.date)
+      ? new Date(`${record.date}T00:00:00Z`)
+      : record.date;
+    expenses.addRow([date, ...getLedgerRow(record).slice(1)]);
+  });
+  expenses.getColumn(1).numFmt = "yyyy-mm-dd";
+  expenses.getColumn(3).numFmt = "#,##0.00";
+  expenses.getColumn(4).numFmt = "#,##0.00";
+  expenses.getRow(1).font = { bold: true };
+  expenses.views = [{ state: "frozen", ySplit: 1 }];
+
+  const summary = workbook.addWorksheet("Summary");
+  summary.columns = [
+    { header: "Category", width: 18 },
+    { header: "Amount (PHP)", width: 14 },
+  ];
+  const totals = calculateCategoryTotals(records, categories);
+  Object.entries(totals).forEach(([category, amount]) =>
+    summary.addRow([category, amount])
+  );
+  summary.addRow(["Total", sumAmounts(getExpenses(records))]);
+  summary.lastRow.font = { bold: true };
+  const income = sumAmounts(records.filter(isIncome));
+  if (income > 0) {
+    summary.addRow(["Income", income]);
+    summary.addRow([
+      "Net cash flow",
+      income - sumAmounts(getExpenses(records)),
+    ]);
+    summary.lastRow.font = { bold: true };
+  }
+  summary.getColumn(2).numFmt = "#,##0.00";
+  summary.getRow(1).font = { bold: true };
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+/**
+ * Returns the amount as money apps expect it: negative for expenses,
+ * positive for income.
+ */
+const getSignedAmount = (record) =>
+  isIncome(record) ? record.amount : -record.amount;
+
+/**
+ * Escapes text for the XML of an OFX file.
+ */
+const escapeXml = (text) =>
+  escapeHtml(text).replace(/"/g, "&quot;").replace(/'/g, "&apos;");
+
+/**
+ * Writes records as an OFX 2.1 bank statement in PHP, one debit per expense
+ * and one credit per income.
+ * Budgeting apps use FITID (the record ID) to skip transactions they already
+ * imported.
+ */
+const generateOfx = (records, { period, ledgerId }) => {
+  const { start, end } = getExportRange(records, period);
+  const toOfxDate = (isoDate) => isoDate.replace(/-/g, "");
+  const now = new Date().toISOString().replace(/[-:T]/g, "").slice(0, 14);
+  const balance = records.reduce(
+    (sum, record) => sum + getSignedAmount(record),
+    0
+  );
+
+  const transactions = records
+    .map(
+      (record) => `<STMTTRN>
+<TRNTYPE>${isIncome(record) ? "CREDIT" : "DEBIT"}</TRNTYPE>
+<DTPOSTED>${toOfxDate(record.date)}</DTPOSTED>
+<TRNAMT>${getSignedAmount(record).toFixed(2)}</TRNAMT>
+<FITID>${escapeXml(record.id)}</FITID>
+<NAME>${escapeXml(record.description.replace(/\s+/g, " ").slice(0, 32))}</NAME>
+<MEMO>${escapeXml(record.category)}</MEMO>
+</STMTTRN>`
+    )
+    .join("\n");
+
+  return `<?xml version="1.0" encoding="UTF-8" standalone="no"?>
+<?OFX OFXHEADER="200" VERSION="211" SECURITY="NONE" OLDFILEUID="NONE" NEWFILEUID="NONE"?>
+<OFX>
+<SIGNONMSGSRSV1>
+<SONRS>
+<STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>
+<DTSERVER>${now}</DTSERVER>
+<LANGUAGE>ENG</LANGUAGE>
+</SONRS>
+</SIGNONMSGSRSV1>
+<BANKMSGSRSV1>
+<STMTTRNRS>
+<TRNUID>1</TRNUID>
+<STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>
+<STMTRS>
+<CURDEF>PHP</CURDEF>
+<BANKACCTFROM>
+<BANKID>KWENTAKO</BANKID>
+<ACCTID>${escapeXml(ledgerId)}</ACCTID>
+<ACCTTYPE>CHECKING</ACCTTYPE>
+</BANKACCTFROM>
+<BANKTRANLIST>
+<DTSTART>${toOfxDate(start)}</DTSTART>
+<DTEND>${toOfxDate(end)}</DTEND>
+${transactions}
+</BANKTRANLIST>
+<LEDGERBAL>
+<BALAMT>${balance.toFixed(2)}</BALAMT>
+<DTASOF>${toOfxDate(end)}</DTASOF>
+</LEDGERBAL>
+</STMTRS>
+</STMTTRNRS>
+</BANKMSGSRSV1>
+</OFX>
+`;
+};
+
+/**
+ * Writes records as a QIF cash account, with categories as QIF categories.
+ */
+const generateQif = (records) => {
+  const toQifDate = (isoDate) => {
+    const [year, month, day] = isoDate.split("-");
+    return `${month}/${day}/${year}`;
+  };
+
+  const entries = records.map(
+    (record) =>
+      `D${toQifDate(record.date)}\n` +
+      `T${getSignedAmount(record).toFixed(2)}\n` +
+      `P${record.description.replace(/\s+/g, " ")}\n` +
+      `L${record.category}\n` +
+      `N${record.id}\n` +
+      `^`
+  );
+
+  return ["!Type:Cash", ...entries].join("\n") + "\n";
+};
+
+/**
+ * Writes a printable HTML statement: totals per category, income and net
+ * cash flow, and every record of the period, oldest first.
+ */
+const generateHtmlStatement = (
+  records,
+  { period, category, categories, creator }
+) => {
+  const { start, end } = getExportRange(records, period);
+  const total = sumAmounts(getExpenses(records));
+  const income = sumAmounts(records.filter(isIncome));
+  const totals = Object.entries(calculateCategoryTotals(records, categories))
+    .filter(([, amount]) => amount > 0)
+    .sort((a, b) => b[1] - a[1]);
+  const sorted = [...records].sort((a, b) => a.date.localeCompare(b.date));
+
+  const categoryRows = totals
+    .map(
+      ([name, amount]) =>
+        `<tr><td>${escapeHtml(name)}</td><td class="amount">${formatPeso(
+          amount
+        )}</td><td class="amount">${((amount / total) * 100).toFixed(
+          1
+        )}%</td></tr>`
+    )
+    .join("\n");
+  const expenseRows = sorted
+    .map(
+      (record) =>
+        `<tr><td>${escapeHtml(record.date)}</td><td>${escapeHtml(
+          record.description
+        )}</td><td>${escapeHtml(record.category)}</td><td class="amount">${
+          isIncome(record) ? "+" : ""
+        }${formatPeso(record.amount)}</td></tr>`
+    )
+    .join("\n");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>KwentaKo Statement — ${escapeHtml(formatDateRange(start, end))}</title>
+<style>
+  body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; color: #222; max-width: 800px; margin: 2em auto; padding: 0 1em; }
+  h1 { margin-bottom: 0; }
+  .meta { color: #666; margin-top: 0.25em; }
+  table { width: 100%; border-collapse: collapse; margin: 1em 0 2em; }
+  th, td { padding: 6px 8px; border-bottom: 1px solid #ddd; text-align: left; }
+  th { background: #f5f5f5; }
+  .amount { text-align: right; white-space: nowrap; }
+  tfoot td { font-weight: bold; border-top: 2px solid #222; }
+</style>
+</head>
+<body>
+<h1>KwentaKo Statement</h1>
+<p class="meta">${escapeHtml(formatDateRange(start, end))}${
+    category ? ` · ${escapeHtml(category)} only` : ""
+  } · ${records.length} record(s)</p>
+
+<h2>By category</h2>
+<table>
+<thead><tr><th>Category</th><th class="amount">Amount</th><th class="amount">Share</th></tr></thead>
+<tbody>
+${categoryRows}
+</tbody>
+<tfoot><tr><td>Total</td><td class="amount">${formatPeso(
+    total
+  )}</td><td></td></tr></tfoot>
+</table>
+${
+  income > 0
+    ? `<p>Income: <b>${formatPeso(income)}</b> · Net cash flow: <b>${formatNet(
+        income - total
+      )}</b></p>\n`
+    : ""
+}
+<h2>${income > 0 ? "Records" : "Expenses"}</h2>
+<table>
+<thead><tr><th>Date</th><th>Description</th><th>Category</th><th class="amount">Amount</th></tr></thead>
+<tbody>
+${expenseRows}
+</tbody>
+</table>
+
+<p class="meta">Generated ${escapeHtml(
+    new Date().toISOString()
+  )} by KwentaKo · ${escapeHtml(creator)}</p>
+</body>
+</html>
+`;
+};
+
+/**
+ * Builds an export file of a ledger.
+ * @param {Array<object>} records - Every record of the ledger.
+ * @param {object} options
+ * @param {string} options.format - A key of EXPORT_FORMATS.
+ * @param {object|null} options.period - { start, end } to filter on.
+ * @param {string|null} options.category - Category to filter on.
+ * @param {Array<string>} options.categories - The known categories.
+ * @param {string} options.creator - Shown in the generated files.
+ * @param {string} options.ledgerId - Used as the OFX account ID.
+ * @returns {Promise<object>} { filename, content, count } where content is a string or Buffer.
+ */
+export const buildExport = async (records, options) => {
+  const { format, period, category } = options;
+  const selected = filterExportRecords(records, options);
+
+  const rangeName = period ? `${period.start}_${period.end}` : "all";
+  // Custom categories may have characters like "/" in them ("Load/Data")
+  const categoryName = category
+    ? `_${category
+        .toLowerCase()
+        .replace(/[^a-z0-9_-]+/g, "-")
+        .replace(/^-+|-+$/g, "")}`
+    : "";
+  const filename = `kwentako_${rangeName}${categoryName}.${EXPORT_FORMATS[format]}`;
+
+  const generators = {
+    csv: () => generateLedgerCsv(selected),
+    summary: () => generateLedgerSummary(selected, options),
+    xlsx: () => generateXlsx(selected, options),
+    json: () =>
+      JSON.stringify(
+        {
+          schemaVersion: LEDGER_SCHEMA_VERSION,
+          exportedAt: new Date().toISOString(),
+          filters: {
+            start: period ? period.start : null,
+            end: period ? period.end : null,
+            category,
+          },
+          records: selected,
+        },
+        null,
+        2
+      ),
+    ofx: () => generateOfx(selected, options),
+    qif: () => generateQif(selected),
+    html: () => generateHtmlStatement(selected, options),
+  };
+
+  return {
+    filename,
+    content: await generators[format](),
+    count: selected.length,
+  };
+};
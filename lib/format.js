@@ -0,0 +1,21 @@
+// lib/format.js
+
+/**
+ * Escapes user-provided text for Telegram HTML messages.
+ */
+export const escapeHtml = (text) =>
+  String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+
+/**
+ * Formats an amount the way every reply shows money, e.g. "PHP 1234.50".
+ */
+export const formatPeso = (amount) => `PHP ${amount.toFixed(2)}`;
+
+/**
+ * Echoes a voice note's transcript, so the user can see what was heard.
+ */
+export const formatTranscript = (transcript) =>
+  `🎙️ I heard: <i>"${escapeHtml(transcript)}"</i>`;
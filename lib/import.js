@@ -0,0 +1,337 @@
+// lib/import.js
+
+import { parseCsv } from "./csv.js";
+import { normalizeDate } from "./dates.js";
+import { INCOME_CATEGORY } from "./categories.js";
+import { BASE_CURRENCY, parseCurrencyCode } from "./currency.js";
+
+// Larger files are refused to keep a single import reviewable
+export const MAX_IMPORT_ROWS = 2000;
+
+/**
+ * Column layouts of CSV exports from common PH banks and e-wallets, matched
+ * by their header names (case-insensitive). A layout either has one `amount`
+ * column or separate `debit` (money out) and `credit` (money in) columns.
+ * `optionalColumns` are used when the file has them.
+ */
+export const IMPORT_PRESETS = [
+  {
+    name: "KwentaKo",
+    columns: {
+      date: "date",
+      description: "description",
+      amount: "amount (php)",
+      category: "category",
+    },
+    // The rest of a /export, so exporting and importing again loses nothing
+    optionalColumns: {
+      type: "type", // "expense" or "income"
+      account: "account",
+      currency: "currency",
+      originalAmount: "original amount",
+      rate: "rate",
+    },
+  },
+  {
+    name: "GCash",
+    columns: {
+      date: "date and time",
+      description: "description",
+      debit: "debit",
+      credit: "credit",
+    },
+  },
+  {
+    name: "Maya",
+    columns: {
+      date: "date",
+      description: "description",
+      debit: "debit",
+      credit: "credit",
+      reference: "reference id",
+    },
+  },
+  {
+    name: "BPI",
+    columns: {
+      date: "transaction date",
+      description: "description",
+      debit: "debit amount",
+      credit: "credit amount",
+    },
+  },
+];
+
+// Header names used to guess the layout of other files, in the order the
+// columns are claimed (so "Transaction Date" is taken as the date first)
+const COLUMN_PATTERNS = [
+  ["date", /date|petsa/],
+  ["debit", /debit|withdraw|money out|paid out/],
+  ["credit", /credit|deposit|money in|received/],
+  ["amount", /amount|php|price|cost|total|halaga/],
+  ["category", /categ/],
+  [
+    "description",
+    /desc|detail|particular|merchant|payee|narrat|remark|item|transaction|name|note/,
+  ],
+];
+
+/**
+ * Works out which column holds what from a header row.
+ * @param {Array<string>} header - The cells of a candidate header row.
+ * @returns {object|null} { name, columns: { date, description, amount | debit, credit, category, ... } }
+ *   with column indexes, or null if the row is not a usable header.
+ */
+const detectLayout = (header) => {
+  const names = header.map((cell) => cell.trim().toLowerCase());
+
+  for (const preset of IMPORT_PRESETS) {
+    const columns = {};
+    const matches = Object.entries(preset.columns).every(([key, name]) => {
+      columns[key] = names.indexOf(name);
+      return columns[key] !== -1;
+    });
+    if (!matches) continue;
+
+    Object.entries(preset.optionalColumns || {}).forEach(([key, name]) => {
+      if (names.includes(name)) columns[key] = names.indexOf(name);
+    });
+    return { name: preset.name, columns };
+  }
+
+  const columns = {};
+  const claimed = new Set();
+  COLUMN_PATTERNS.forEach(([key, pattern]) => {
+    const index = names.findIndex(
+      (name, i) => !claimed.has(i) && pattern.test(name)
+    );
+    if (index !== -1) {
+      columns[key] = index;
+      claimed.add(index);
+    }
+  });
+
+  const hasAmount = columns.amount !== undefined || columns.debit !== undefined;
+  if (columns.date === undefined || !hasAmount) return null;
+  return { name: "detected columns", columns };
+};
+
+const MONTHS = [
+  "jan",
+  "feb",
+  "mar",
+  "apr",
+  "may",
+  "jun",
+  "jul",
+  "aug",
+  "sep",
+  "oct",
+  "nov",
+  "dec",
+];
+
+/**
+ * Reads the date of a statement row, ignoring any time after it.
+ * Accepts "2026-10-19", "10/19/2026" (or "10/19/26"), "Oct 19, 2026" and
+ * "19 Oct 2026".
+ * @returns {string|null} The ISO date, or null if it can't be read.
+ */
+export const parseStatementDate = (value) => {
+  const text = String(value || "")
+    .trim()
+    .toLowerCase();
+  const toIso = (year, month, day) => normalizeDate(`${year}-${month}-${day}`);
+
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (match) return toIso(match[1], match[2], match[3]);
+
+  if ((match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4}|\d{2})\b/))) {
+    const year = match[3].length === 2 ? `20${match[3]}` : match[3];
+    return toIso(year, match[1], match[2]);
+  }
+
+  if ((match = text.match(/^([a-z]{3})[a-z]*\.? (\d{1,2}),? (\d{4})/))) {
+    const month = MONTHS.indexOf(match[1]) + 1;
+    return month ? toIso(match[3], month, match[2]) : null;
+  }
+
+  if ((match = text.match(/^(\d{1,2})[ -]([a-z]{3})[a-z]*\.?,?[ -](\d{4})/))) {
+    const month = MONTHS.indexOf(match[2]) + 1;
+    return month ? toIso(match[3], month, match[1]) : null;
+  }
+
+  return null;
+};
+
+/**
+ * Reads an amount like "1,200.50", "PHP 85", "₱-45" or "(300.00)".
+ * @returns {number|null} The amount (negative in parentheses), or null if blank or unreadable.
+ */
+export const parseStatementAmount = (value) => {
+  const text = String(value || "").trim();
+  const negative = /^\(.*\)$/.test(text) || text.includes("-");
+  const digits = text.replace(/[^\d.]/g, "");
+  if (!digits) return null;
+
+  const amount = parseFloat(digits);
+  if (isNaN(amount)) return null;
+  return negative ? -amount : amount;
+};
+
+/**
+ * Parses a CSV export into expense records. Money coming in (credits, or
+ * positive amounts in files that also have negative ones) is left out,
+ * except rows a Type column marks as income (a KwentaKo /export). The
+ * account and foreign currency of a /export row are kept too.
+ * @param {string} content - The CSV text.
+ * @param {object} options
+ * @param {Array<string>} options.categories - The known categories.
+ * @param {Function} options.guessCategory - (description) => category, for rows without a known category.
+ * @throws {Error} If no header row is found or the file is too long.
+ * @returns {Promise<object>} { layout, records, incoming, unreadable } where
+ *   records are { date, description, amount, category, type, account?,
+ *   originalAmount?, currency?, rate? } and the counts are skipped rows.
+ */
+export const parseStatement = async (
+  content,
+  { categories, guessCategory }
+) => {
+  const rows = await parseCsv(content.replace(/^\uFEFF/, "")); // Excel adds a BOM
+
+  let headerIndex = -1;
+  let layout = null;
+  for (let i = 0; i < Math.min(rows.length, 20) && !layout; i++) {
+    layout = detectLayout(rows[i]);
+    headerIndex = i;
+  }
+  if (!layout) {
+    throw new Error(
+      "I couldn't find a header row with date and amount columns"
+    );
+  }
+
+  const dataRows = rows.slice(headerIndex + 1);
+  if (dataRows.length > MAX_IMPORT_ROWS) {
+    throw new Error(
+      `The file has ${dataRows.length} rows, the limit is ${MAX_IMPORT_ROWS}`
+    );
+  }
+
+  const { columns } = layout;
+  const rowsWithAmounts = [];
+  let unreadable = 0;
+
+  for (const row of dataRows) {
+    const date = parseStatementDate(row[columns.date]);
+    const amount =
+      columns.debit !== undefined
+        ? parseStatementAmount(row[columns.debit])
+        : parseStatementAmount(row[columns.amount]);
+    const credit =
+      columns.credit !== undefined
+        ? parseStatementAmount(row[columns.credit])
+        : null;
+
+    // Totals, balances and notes have no date
+    if (!date || (amount === null && credit === null)) {
+      unreadable++;
+      continue;
+    }
+    rowsWithAmounts.push({ row, date, amount: amount || 0 });
+  }
+
+  // A single signed amount column shows spending as negative numbers
+  const signed =
+    columns.debit === undefined &&
+    rowsWithAmounts.some(({ amount }) => amount < 0);
+
+  const records = [];
+  let incoming = 0;
+
+  for (const { row, date, amount } of rowsWithAmounts) {
+    const spent = signed ? -amount : Math.abs(amount);
+    if (spent <= 0) {
+      incoming++;
+      continue;
+    }
+
+    const description =
+      String(row[columns.description] || "")
+        .replace(/\s+/g, " ")
+        .trim() || "Imported expense";
+    const type =
+      String(row[columns.type] || "")
+        .trim()
+        .toLowerCase() === "income"
+        ? "income"
+        : "expense";
+    const categoryName = String(row[columns.category] || "").trim();
+    const category =
+      type === "income"
+        ? INCOME_CATEGORY
+        : categories.find(
+            (cat) => cat.toLowerCase() === categoryName.toLowerCase()
+          ) || guessCategory(description);
+
+    const record = {
+      date,
+      description,
+      amount: Math.round(spent * 100) / 100,
+      category,
+      type,
+    };
+
+    const account = String(row[columns.account] || "").trim();
+    if (account) record.account = account;
+
+    // Paid in another currency: keep what was paid and at which rate
+    const currency = parseCurrencyCode(row[columns.currency]);
+    const originalAmount = parseStatementAmount(row[columns.originalAmount]);
+    const rate = parseStatementAmount(row[columns.rate]);
+    if (
+      currency &&
+      currency !== BASE_CURRENCY &&
+      originalAmount > 0 &&
+      rate > 0
+    ) {
+      Object.assign(record, { originalAmount, currency, rate });
+    }
+
+    records.push(record);
+  }
+
+  return { layout: layout.name, records, incoming, unreadable };
+};
+
+/**
+ * Key under which two records count as the same expense.
+ */
+const getDuplicateKey = (record) =>
+  [
+    record.date,
+    record.amount.toFixed(2),
+    record.description.toLowerCase().replace(/\s+/g, " ").trim(),
+  ].join("|");
+
+/**
+ * Drops imported records that are already in the ledger (same date, amount
+ * and description). Each existing record cancels out one imported record,
+ * so two identical coffees in the file still import if the ledger has one.
+ * @returns {Array<object>} The imported records that are new.
+ */
+export const removeDuplicates = (existingRecords, importedRecords) => {
+  const counts = new Map();
+  existingRecords.forEach((record) => {
+    const key = getDuplicateKey(record);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+
+  return importedRecords.filter((record) => {
+    const key = getDuplicateKey(record);
+    const count = counts.get(key) || 0;
+    if (count === 0) return true;
+    counts.set(key, count - 1);
+    return false;
+  });
+};
@@ -0,0 +1,258 @@
+// lib/ledger.js
+
+import { createHash } from "crypto";
+import { normalizeDate } from "./dates.js";
+import { stringifyCsv, parseCsv } from "./csv.js";
+import {
+  calculateCategoryTotals,
+  getExpenses,
+  isIncome,
+  sumAmounts,
+} from "./report.js";
+
+// Bump this and add a step to LEDGER_MIGRATIONS when the record shape changes
+export const LEDGER_SCHEMA_VERSION = 4;
+
+// Columns of the CSV export, in order
+export const LEDGER_CSV_COLUMNS = [
+  "Date",
+  "Description",
+  "Amount (PHP)",
+  "Original Amount",
+  "Currency",
+  "Rate",
+  "Category",
+  "Account",
+  "Type",
+  "ID",
+  "Batch",
+];
+
+/**
+ * Upgrades stored ledgers one schema version at a time. The function stored
+ * under version N turns a version N ledger into a version N + 1 ledger.
+ */
+const LEDGER_MIGRATIONS = {
+  // 1 -> 2: records get the account they were paid from ("" if unknown)
+  1: (ledger) => ({
+    schemaVersion: 2,
+    records: ledger.records.map((record) => ({ ...record, account: "" })),
+  }),
+  // 2 -> 3: records are either expenses or income; everything so far was spent
+  2: (ledger) => ({
+    schemaVersion: 3,
+    records: ledger.records.map((record) => ({ ...record, type: "expense" })),
+  }),
+  // 3 -> 4: records keep what was paid in a foreign currency; so far all pesos
+  3: (ledger) => ({
+    schemaVersion: 4,
+    records: ledger.records.map((record) => ({
+      ...record,
+      originalAmount: record.amount,
+      currency: "PHP",
+      rate: 1,
+    })),
+  }),
+};
+
+/**
+ * Serializes records as the canonical ledger document.
+ * @param {Array<object>} records - { date, description, amount, originalAmount, currency, rate, category, account, type, id, batch }
+ * @returns {string} JSON of { schemaVersion, records }.
+ */
+export const serializeLedger = (records) =>
+  JSON.stringify(
+    {
+      schemaVersion: LEDGER_SCHEMA_VERSION,
+      // Fixed field order keeps the stored documents uniform
+      records: records.map(
+        ({
+          date,
+          description,
+          amount,
+          originalAmount,
+          currency,
+          rate,
+          category,
+          account,
+          type,
+          id,
+          batch,
+        }) => ({
+          date,
+          description,
+          amount,
+          originalAmount: currency ? originalAmount : amount,
+          currency: currency || "PHP",
+          rate: currency ? rate : 1,
+          category,
+          account: account || "",
+          type: type || "expense",
+          id,
+          batch: batch || "",
+        })
+      ),
+    },
+    null,
+    2
+  );
+
+/**
+ * Parses a ledger document, migrating it to the current schema if needed.
+ * @param {string} content - JSON written by serializeLedger().
+ * @throws {Error} If the ledger was written by a newer version of the bot.
+ * @returns {Array<object>} The records.
+ */
+export const parseLedger = (content) => {
+  let ledger = JSON.parse(content);
+
+  if (ledger.schemaVersion > LEDGER_SCHEMA_VERSION) {
+    throw new Error(
+      `Ledger schema version ${ledger.schemaVersion} is newer than supported version ${LEDGER_SCHEMA_VERSION}`
+    );
+  }
+
+  while (ledger.schemaVersion < LEDGER_SCHEMA_VERSION) {
+    ledger = LEDGER_MIGRATIONS[ledger.schemaVersion](ledger);
+  }
+
+  return ledger.records;
+};
+
+/**
+ * Returns the cells of a record in the order of LEDGER_CSV_COLUMNS.
+ */
+export const getLedgerRow = (record) => [
+  record.date,
+  record.description,
+  record.amount,
+  record.currency ? record.originalAmount : record.amount,
+  record.currency || "PHP",
+  record.currency ? record.rate : 1,
+  record.category,
+  record.account || "",
+  record.type || "expense",
+  record.id,
+  record.batch || "",
+];
+
+/**
+ * Generates a plain CSV of the records (one header row, then one row per
+ * record) that spreadsheets can import directly.
+ */
+export const generateLedgerCsv = (records) =>
+  stringifyCsv([LEDGER_CSV_COLUMNS, ...records.map(getLedgerRow)]);
+
+/**
+ * Generates the human-readable summary: totals and a category breakdown.
+ * @param {Array<object>} records
+ * @param {object} options
+ * @param {Array<string>} options.categories - Categories to list, in order.
+ * @param {string} options.creator - Shown in the summary header.
+ * @returns {string}
+ */
+export const generateLedgerSummary = (records, { categories, creator }) => {
+  const total = sumAmounts(getExpenses(records));
+  const income = sumAmounts(records.filter(isIncome));
+  const categoryTotals = calculateCategoryTotals(records, categories);
+
+  // Generate category breakdown with percentages
+  const categoryBreakdown = categories
+    .map((cat) => {
+      const amount = categoryTotals[cat] || 0;
+      const percentage =
+        total > 0 ? ((amount / total) * 100).toFixed(1) : "0.0";
+      return `${cat}: PHP ${amount.toFixed(2)} (${percentage}%)`;
+    })
+    .join("\n");
+
+  return `KwentaKo Expense Tracker
+Generated: ${new Date().toISOString()}
+Creator: ${creator}
+Total Expenses: PHP ${total.toFixed(2)}
+Total Income: PHP ${income.toFixed(2)}
+Net Cash Flow: PHP ${(income - total).toFixed(2)}
+Total Records: ${records.length}
+
+CATEGORY BREAKDOWN:
+${categoryBreakdown}
+`;
+};
+
+/**
+ * Derives a stable ID for a record saved before records had IDs, so it keeps
+ * the same ID until the ledger is saved again with the ID written out.
+ * `occurrence` tells identical rows apart.
+ */
+const getLegacyRecordId = (record, occurrence) =>
+  createHash("sha1")
+    .update(
+      [
+        record.date,
+        record.description,
+        record.amount,
+        record.category,
+        occurrence,
+      ].join("|")
+    )
+    .digest("hex")
+    .slice(0, 6);
+
+/**
+ * Extracts the records from a ledger in the old CSV format, where a summary
+ * preamble comes before the `Date,Description,...` table. Used to migrate
+ * those ledgers to the JSON format.
+ * @param {string} csvContent
+ * @returns {Promise<Array<object>>} The records.
+ */
+export const parseLegacyLedgerCsv = async (csvContent) => {
+  const rows = await parseCsv(csvContent);
+  const expenses = [];
+  const legacyOccurrences = {};
+
+  let inDataSection = false;
+
+  for (const row of rows) {
+    // Check if we've reached the header row
+    if (row[0] === "Date" && row[1] === "Description") {
+      inDataSection = true;
+      continue;
+    }
+
+    // Parse data rows
+    if (inDataSection && row.length >= 4) {
+      const date = normalizeDate(row[0]) || row[0]; // Older rows used M/D/YYYY
+      const description = row[1];
+      const amount = parseFloat(row[2]);
+      const category = row[3];
+      const batch = row[5] || "";
+      let id = row[4];
+
+      if (!isNaN(amount)) {
+        if (!id) {
+          const key = [date, description, amount, category].join("|");
+          legacyOccurrences[key] = (legacyOccurrences[key] || 0) + 1;
+          id = getLegacyRecordId(
+            { date, description, amount, category },
+            legacyOccurrences[key]
+          );
+        }
+        expenses.push({
+          date,
+          description,
+          amount,
+          originalAmount: amount,
+          currency: "PHP",
+          rate: 1,
+          category,
+          account: "",
+          type: "expense",
+          id,
+          batch,
+        });
+      }
+    }
+  }
+
+  return expenses;
+};
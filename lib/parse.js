@@ -0,0 +1,396 @@
+// lib/parse.js
+
+import { generateJson, AIUnavailableError } from "./ai.js";
+import {
+  getManilaDate,
+  parseDateExpression,
+  resolveRecordDate,
+} from "./dates.js";
+import {
+  INCOME_CATEGORY,
+  isIncomeText,
+  getCategories,
+  guessCategory,
+  applyCategoryRules,
+  describeCategoriesForPrompt,
+} from "./categories.js";
+import { DEFAULT_ACCOUNTS, findAccountInText } from "./accounts.js";
+import { BASE_CURRENCY, findCurrencyInText } from "./currency.js";
+import { QUERY_METRICS, normalizeQuery } from "./query.js";
+
+/**
+ * Builds the JSON schema of a list of expenses (and income) for Gemini,
+ * limited to a ledger's categories.
+ */
+export const buildExpensesJsonSchema = (categories) => ({
+  type: "array",
+  items: {
+    type: "object",
+    properties: {
+      description: { type: "string" },
+      amount: { type: "number" },
+      currency: { type: "string" },
+      type: { type: "string", enum: ["expense", "income"] },
+      category: { type: "string", enum: categories },
+      date: { type: "string" },
+      account: { type: "string" },
+    },
+    required: ["description", "amount", "type", "category"],
+  },
+});
+
+/**
+ * Manual expense parsing as fallback when Gemini fails
+ * @param {string} originalText
+ * @param {object} categoryConfig - The ledger's categories and merchant rules.
+ */
+export const parseExpensesManually = (originalText, categoryConfig) => {
+  // Pull out a mentioned date ("kahapon", "last Saturday") so its digits
+  // aren't mistaken for the amount
+  const today = getManilaDate();
+  const dateMatch = parseDateExpression(originalText, today);
+  const date = dateMatch ? dateMatch.date : today;
+  const text = (
+    dateMatch ? originalText.replace(dateMatch.match, " ") : originalText
+  )
+    .replace(/(\d),(?=\d{3}\b)/g, "$1") // "1,200" -> "1200"
+    .replace(/\s+/g, " ")
+    .trim();
+
+  // Simple regex patterns for common expense formats
+  const patterns = [
+    // "item for 150", "lunch 200", "taxi 50"
+    /(.+?)\s+(?:for|cost|price|worth|)\s*(?:php|₱|pesos?|)\s*(\d+(?:\.\d{2})?)/gi,
+    // "150 for item", "200 lunch", "₱50 taxi"
+    /(?:php|₱|pesos?|)\s*(\d+(?:\.\d{2})?)\s+(?:for|)\s*(.+)/gi,
+    // Just numbers with context "bought something 150"
+    /(.+?)\s+(\d+(?:\.\d{2})?)$/gi,
+  ];
+
+  const results = [];
+  let amount = null;
+  let description = text.trim();
+
+  for (const pattern of patterns) {
+    const matches = [...text.matchAll(pattern)];
+    if (matches.length > 0) {
+      const match = matches[0];
+      if (pattern === patterns[1]) {
+        // Amount first pattern
+        amount = parseFloat(match[1]);
+        description = match[2].trim();
+      } else {
+        // Description first pattern
+        description = match[1].trim();
+        amount = parseFloat(match[2]);
+      }
+      break;
+    }
+  }
+
+  // If no amount found, try to extract any number
+  if (!amount) {
+    const numberMatch = text.match(/(\d+(?:\.\d{2})?)/);
+    if (numberMatch) {
+      amount = parseFloat(numberMatch[1]);
+      description = text.replace(numberMatch[0], "").trim();
+    }
+  }
+
+  // Default fallback
+  if (!amount) {
+    amount = 0;
+    description = text;
+  }
+
+  const type = isIncomeText(text) ? "income" : "expense";
+  const category =
+    type === "income" ? INCOME_CATEGORY : guessCategory(text, categoryConfig);
+  const account = findAccountInText(DEFAULT_ACCOUNTS, text) || "";
+
+  // "$12", "1500 yen", "coffee 5 sgd": keep the currency, not the symbol
+  const currency = findCurrencyInText(text);
+  if (currency) {
+    description = description
+      .split(" ")
+      .filter((word) => word.toLowerCase() !== currency.match)
+      .join(" ")
+      .trim();
+  }
+
+  return [
+    {
+      date,
+      description: description || "Manual entry",
+      amount,
+      currency: currency ? currency.currency : BASE_CURRENCY,
+      type,
+      category,
+      account,
+    },
+  ];
+};
+
+/**
+ * Tells Gemini what day it is, so it can resolve "kahapon" or "last Saturday".
+ */
+const describeToday = (today) =>
+  `Today is ${new Date(`${today}T00:00:00Z`).toLocaleDateString("en-US", {
+    weekday: "long",
+    timeZone: "UTC",
+  })}, ${today} (Philippines).`;
+
+/**
+ * Builds the JSON schema of a text message for Gemini: what it is, and
+ * either its expenses or the question's query.
+ */
+const buildMessageJsonSchema = (categories) => ({
+  type: "object",
+  properties: {
+    intent: { type: "string", enum: ["expense", "question", "other"] },
+    expenses: buildExpensesJsonSchema(categories),
+    query: {
+      type: "object",
+      properties: {
+        metric: { type: "string", enum: QUERY_METRICS },
+        start: { type: "string" },
+        end: { type: "string" },
+        category: { type: "string", enum: [...categories, "Any"] },
+        search: { type: "string" },
+      },
+    },
+  },
+  required: ["intent"],
+});
+
+/**
+ * Uses Gemini to read a text message in one call: expenses (and income) to
+ * log, or a question about past spending (e.g. "magkano nagastos ko sa food
+ * this month?") whose answer is computed from the stored records.
+ * Falls back to the offline parser when Gemini stays unavailable.
+ * @param {string} text
+ * @param {object} categoryConfig - The ledger's categories and merchant rules.
+ * @param {object} [options]
+ * @param {number} [options.maxRetries] - Gemini attempts before falling back.
+ * @returns {object} { intent: "expense", records } | { intent: "question",
+ *   query } where query is a normalizeQuery() result | { intent: "other" }
+ */
+export const parseMessageWithAI = async (
+  text,
+  categoryConfig,
+  { maxRetries = 3 } = {}
+) => {
+  // Input validation to reduce API load
+  if (!text || text.trim().length === 0) {
+    throw new Error("Empty input text");
+  }
+
+  // Limit input length to prevent excessive token usage
+  const maxLength = 300;
+  const trimmedText =
+    text.length > maxLength ? text.substring(0, maxLength) + "..." : text;
+
+  const today = getManilaDate();
+  const categories = getCategories(categoryConfig);
+  const prompt = `Read this Telegram message to an expense tracker: "${trimmedText}". ${describeToday(
+    today
+  )}
+intent: "expense" if it records spending or money received (e.g. "lunch 150", "jeep 13 tapos kape 95", "sweldo 25000"), "question" if it asks about past spending (English, Tagalog or Taglish), "other" for anything else.
+For expenses, fill expenses: [{description: string, amount: number in the currency paid, currency?: ISO code only if not pesos, e.g. "USD" for "$12", "JPY" for "1500 yen", "SGD", type: "income" for money received (e.g. "sweldo 25000", "received 500 from Ana"), otherwise "expense", category: string (any for income), date?: "YYYY-MM-DD" only if the text says when, e.g. "yesterday", "kahapon", "last Saturday", account?: how it was paid only if the text says, e.g. "GCash" for "paid via gcash", "Cash", "Maya", "Card", "BPI"}]. ${describeCategoriesForPrompt(
+    categoryConfig
+  )}
+For questions, fill query: metric (${QUERY_METRICS.join(
+    "|"
+  )}), start and end dates (YYYY-MM-DD; this month so far if no period is mentioned), category ("Any" if none), search (a word the expense descriptions must contain, e.g. "grab", or "" if none).`;
+
+  let result;
+  try {
+    result = await generateJson(
+      {
+        contents: prompt,
+        config: { responseSchema: buildMessageJsonSchema(categories) },
+      },
+      { maxRetries }
+    );
+  } catch (error) {
+    // If all retries failed, fall back to manual parsing
+    if (error instanceof AIUnavailableError) {
+      console.log("Falling back to manual parsing");
+      return {
+        intent: "expense",
+        records: parseExpensesManually(text, categoryConfig),
+      };
+    }
+    throw error;
+  }
+
+  if (result.intent === "question") {
+    return {
+      intent: "question",
+      query: normalizeQuery(result.query || {}, { today, categories }),
+    };
+  }
+  if (result.intent === "other") {
+    return { intent: "other" };
+  }
+
+  // Resolve mentioned dates in Manila time; default to today
+  return {
+    intent: "expense",
+    records: applyCategoryRules(
+      (result.expenses || []).map((record) => ({
+        ...record,
+        date: resolveRecordDate(record.date, today),
+      })),
+      categoryConfig
+    ),
+  };
+};
+
+/**
+ * Builds the JSON schema of a voice note transcript and its expenses.
+ */
+const buildVoiceJsonSchema = (categories) => ({
+  type: "object",
+  properties: {
+    transcript: { type: "string" },
+    expenses: buildExpensesJsonSchema(categories),
+  },
+  required: ["transcript", "expenses"],
+});
+
+/**
+ * Uses Gemini to transcribe a voice note (English, Tagalog or Taglish) and
+ * extract the expenses mentioned in it.
+ * @param {Buffer} audio - The voice note.
+ * @param {string} mimeType - e.g. "audio/ogg".
+ * @param {object} categoryConfig - The ledger's categories and merchant rules.
+ * @returns {object} { transcript, records }
+ */
+export const parseVoiceWithAI = async (audio, mimeType, categoryConfig) => {
+  const today = getManilaDate();
+  const prompt = `Transcribe this voice note (it may be in English, Tagalog or Taglish), then extract the expenses and income mentioned. ${describeToday(
+    today
+  )} Return {transcript: string, expenses: [{description: string, amount: number, currency?: ISO code only if not pesos, e.g. "USD" for "dollars", "JPY" for "yen", type: "income" for money received (e.g. "sweldo"), otherwise "expense", category: string, date?: "YYYY-MM-DD" only if the speaker says when, account?: how it was paid only if the speaker says, e.g. "GCash", "Cash", "Card"}]}. Amounts are in PHP unless another currency is said. ${describeCategoriesForPrompt(
+    categoryConfig
+  )}`;
+
+  const result = await generateJson({
+    contents: [
+      { inlineData: { mimeType, data: audio.toString("base64") } },
+      { text: prompt },
+    ],
+    config: {
+      responseSchema: buildVoiceJsonSchema(getCategories(categoryConfig)),
+    },
+  });
+
+  return {
+    transcript: (result.transcript || "").trim(),
+    records: applyCategoryRules(
+      (result.expenses || []).map((record) => ({
+        ...record,
+        date: resolveRecordDate(record.date, today),
+      })),
+      categoryConfig
+    ),
+  };
+};
+
+// Receipts with more line items than this are logged as one total
+const MAX_RECEIPT_ITEMS = 15;
+
+/**
+ * Builds the JSON schema of a receipt for Gemini.
+ */
+const buildReceiptJsonSchema = (categories) => ({
+  type: "object",
+  properties: {
+    merchant: { type: "string" },
+    date: { type: "string" },
+    total: { type: "number" },
+    currency: { type: "string" },
+    category: { type: "string", enum: categories },
+    account: { type: "string" },
+    items: buildExpensesJsonSchema(categories),
+  },
+  required: ["total", "category"],
+});
+
+/**
+ * Uses Gemini vision to read a receipt photo (Mercury Drug, SM, 7-Eleven...).
+ * Logs the line items when they add up to the printed total, otherwise the
+ * total as a single expense.
+ * @param {Buffer} image - The photo.
+ * @param {string} mimeType - e.g. "image/jpeg".
+ * @param {object} categoryConfig - The ledger's categories and merchant rules.
+ * @param {object} [options]
+ * @param {boolean} [options.totalOnly] - Always log just the total.
+ * @returns {object} { merchant, records }
+ */
+export const parseReceiptWithAI = async (
+  image,
+  mimeType,
+  categoryConfig,
+  { totalOnly = false } = {}
+) => {
+  const today = getManilaDate();
+  const prompt = `This is a photo of a Philippine receipt. ${describeToday(
+    today
+  )} Extract the merchant name, the purchase date as YYYY-MM-DD (omit if not printed), the grand total as printed and its currency (ISO code, e.g. "PHP", "JPY", "SGD"), the overall category, how it was paid if printed (account, e.g. "Cash", "Card", "GCash", "Maya"), and the line items as [{description, amount, category}] with the amount actually paid per line (after discounts). ${describeCategoriesForPrompt(
+    categoryConfig
+  )}`;
+
+  const receipt = await generateJson({
+    contents: [
+      { inlineData: { mimeType, data: image.toString("base64") } },
+      { text: prompt },
+    ],
+    config: {
+      responseSchema: buildReceiptJsonSchema(getCategories(categoryConfig)),
+    },
+  });
+
+  const merchant = (receipt.merchant || "").trim();
+  // Receipts don't come from the future; a misread date falls back to today
+  const receiptDate = resolveRecordDate(receipt.date, today);
+  const date = receiptDate > today ? today : receiptDate;
+
+  const items = (receipt.items || []).filter((item) => item.amount > 0);
+  const itemsTotal = items.reduce((sum, item) => sum + item.amount, 0);
+  const useItems =
+    !totalOnly &&
+    items.length > 0 &&
+    items.length <= MAX_RECEIPT_ITEMS &&
+    Math.abs(itemsTotal - receipt.total) < 1;
+
+  const records = useItems
+    ? items.map((item) => ({
+        description: merchant
+          ? `${item.description} (${merchant})`
+          : item.description,
+        amount: item.amount,
+        currency: receipt.currency,
+        category: item.category,
+        account: receipt.account,
+        date,
+      }))
+    : [
+        {
+          description: merchant ? `${merchant} receipt` : "Receipt",
+          amount: receipt.total,
+          currency: receipt.currency,
+          category: receipt.category,
+          account: receipt.account,
+          date,
+        },
+      ];
+
+  return {
+    merchant,
+    records: applyCategoryRules(
+      records.filter((record) => record.amount > 0),
+      categoryConfig
+    ),
+  };
+};
@@ -0,0 +1,169 @@
+// lib/query.js
+
+import { countDays, formatDateRange, normalizeDate } from "./dates.js";
+import { escapeHtml, formatPeso } from "./format.js";
+import {
+  calculateCategoryTotals,
+  filterRecordsByDate,
+  getExpenses,
+} from "./report.js";
+
+// What a question can ask for. Gemini only picks one of these and the
+// filters; the answer is always computed from the stored records.
+export const QUERY_METRICS = [
+  "total", // How much was spent
+  "count", // How many expenses
+  "average", // Average per expense and per day
+  "largest", // Biggest expense
+  "smallest", // Smallest expense
+  "list", // The matching expenses
+  "breakdown", // Totals per category
+];
+
+// Expenses shown for "list" questions
+const MAX_LISTED = 10;
+
+/**
+ * Checks a structured query from Gemini and fills in the gaps: the period
+ * defaults to this month so far, and unknown categories are dropped.
+ * @param {object} query - { metric, start, end, category, search }
+ * @param {object} options
+ * @param {string} options.today - Today's date in Manila, "YYYY-MM-DD".
+ * @param {Array<string>} options.categories - The known categories.
+ * @returns {object} { metric, start, end, category, search } where category
+ *   and search are null when not asked about.
+ */
+export const normalizeQuery = (query, { today, categories }) => {
+  let start = normalizeDate(query.start) || `${today.slice(0, 7)}-01`;
+  let end = normalizeDate(query.end) || today;
+  if (start > end) [start, end] = [end, start];
+
+  const category =
+    categories.find(
+      (cat) => cat.toLowerCase() === String(query.category).toLowerCase()
+    ) || null;
+  const search = String(query.search || "").trim() || null;
+
+  return {
+    metric: QUERY_METRICS.includes(query.metric) ? query.metric : "total",
+    start,
+    end,
+    category,
+    search,
+  };
+};
+
+/**
+ * Returns the expenses a query is about.
+ */
+const filterQueryRecords = (records, { start, end, category, search }) =>
+  getExpenses(filterRecordsByDate(records, start, end)).filter(
+    (record) =>
+      (!category || record.category === category) &&
+      (!search ||
+        record.description.toLowerCase().includes(search.toLowerCase()))
+  );
+
+/**
+ * Describes what a query covers, e.g. "Food, Oct 1 – Oct 19, 2026".
+ */
+const describeQuery = ({ start, end, category, search }) =>
+  [
+    category && escapeHtml(category),
+    search && `"${escapeHtml(search)}"`,
+    formatDateRange(start, end),
+  ]
+    .filter(Boolean)
+    .join(", ");
+
+/**
+ * Formats one expense for an answer.
+ */
+const formatExpense = (record) =>
+  `${escapeHtml(record.description)} — <b>${formatPeso(
+    record.amount
+  )}</b> (${escapeHtml(record.category)}, ${escapeHtml(
+    normalizeDate(record.date)
+  )})`;
+
+/**
+ * Answers a question from the stored records.
+ * @param {Array<object>} records - The ledger's records.
+ * @param {object} query - A query from normalizeQuery().
+ * @returns {string} A Telegram HTML message.
+ */
+export const answerQuery = (records, query) => {
+  const matching = filterQueryRecords(records, query);
+  const total = matching.reduce((sum, record) => sum + record.amount, 0);
+  const header = `🔎 <b>${describeQuery(query)}</b>\n\n`;
+
+  if (matching.length === 0) {
+    return `${header}No expenses found.`;
+  }
+
+  const bySize = [...matching].sort((a, b) => b.amount - a.amount);
+
+  switch (query.metric) {
+    case "count":
+      return `${header}${matching.length} expense(s), ${formatPeso(
+        total
+      )} in total.`;
+
+    case "average":
+      return (
+        `${header}Average per expense: <b>${formatPeso(
+          total / matching.length
+        )}</b> (${matching.length} expense(s))\n` +
+        `Daily average: <b>${formatPeso(
+          total / countDays(query.start, query.end)
+        )}</b>`
+      );
+
+    case "largest":
+      return `${header}Biggest expense: ${formatExpense(bySize[0])}`;
+
+    case "smallest":
+      return `${header}Smallest expense: ${formatExpense(
+        bySize[bySize.length - 1]
+      )}`;
+
+    case "list": {
+      const latest = [...matching]
+        .sort((a, b) =>
+          normalizeDate(b.date).localeCompare(normalizeDate(a.date))
+        )
+        .slice(0, MAX_LISTED);
+      return (
+        header +
+        latest.map((record) => `• ${formatExpense(record)}`).join("\n") +
+        (matching.length > MAX_LISTED
+          ? `\n…and ${matching.length - MAX_LISTED} more.`
+          : "") +
+        `\n\nTotal: <b>${formatPeso(total)}</b> in ${
+          matching.length
+        } expense(s)`
+      );
+    }
+
+    case "breakdown":
+      return (
+        header +
+        Object.entries(calculateCategoryTotals(matching))
+          .sort((a, b) => b[1] - a[1])
+          .map(
+            ([category, amount]) =>
+              `• ${escapeHtml(category)}: ${formatPeso(amount)} (${(
+                (amount / total) *
+                100
+              ).toFixed(1)}%)`
+          )
+          .join("\n") +
+        `\n\nTotal: <b>${formatPeso(total)}</b>`
+      );
+
+    default:
+      return `${header}You spent <b>${formatPeso(total)}</b> in ${
+        matching.length
+      } expense(s).`;
+  }
+};
@@ -0,0 +1,29 @@
+// lib/rates-fixture.js
+
+/**
+ * Exchange rates used by RATE_PROVIDER=fixture, in the same { base, rates }
+ * shape the http provider reads. Good enough for offline development and
+ * tests; use /rates to set the rate you actually got.
+ */
+export const FIXTURE_RATES = {
+  asOf: "2026-10-01",
+  base: "USD",
+  rates: {
+    USD: 1,
+    PHP: 58.1,
+    JPY: 149.2,
+    SGD: 1.3,
+    HKD: 7.78,
+    EUR: 0.92,
+    GBP: 0.79,
+    AUD: 1.52,
+    KRW: 1385,
+    THB: 36.4,
+    CNY: 7.2,
+    TWD: 32.1,
+    MYR: 4.7,
+    VND: 25400,
+    IDR: 15900,
+    AED: 3.67,
+  },
+};
@@ -0,0 +1,221 @@
+// lib/recurring.js
+
+import {
+  addDays,
+  endOfMonth,
+  formatDate,
+  getWeekday,
+  parseMonth,
+  parseWeekday,
+} from "./dates.js";
+
+export const RECURRING_FREQUENCIES = ["monthly", "weekly", "yearly"];
+
+// Missed runs are caught up to this many occurrences per item
+const MAX_CATCH_UP = 12;
+
+const WEEKDAY_NAMES = [
+  "Sunday",
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
+];
+
+/**
+ * Reads a weekday, also accepting short English forms like "mon".
+ * In a schedule they can't be mistaken for a description.
+ */
+const readWeekday = (word) => {
+  const weekday = parseWeekday(word);
+  if (weekday !== -1) return weekday;
+  const short = WEEKDAY_NAMES.findIndex(
+    (name) => name.slice(0, 3).toLowerCase() === word.slice(0, 3).toLowerCase()
+  );
+  return word.length >= 3 ? short : -1;
+};
+
+/**
+ * Reads the "on ..." part of a schedule.
+ * @returns {number|string|null} Day of the month (1-31) for monthly items,
+ *   weekday (0 = Sunday) for weekly ones, "MM-DD" for yearly ones, or null.
+ */
+const parseScheduleDay = (frequency, words) => {
+  const text = words.join(" ").toLowerCase();
+
+  if (frequency === "monthly") {
+    const match = text.match(/^(\d{1,2})(st|nd|rd|th)?$/);
+    const day = match ? Number(match[1]) : 0;
+    return day >= 1 && day <= 31 ? day : null;
+  }
+
+  if (frequency === "weekly") {
+    const weekday = words.length === 1 ? readWeekday(words[0]) : -1;
+    return weekday === -1 ? null : weekday;
+  }
+
+  // Yearly: "12-25", "dec 25" or "25 dec"
+  let month, day;
+  let match = text.match(/^(\d{1,2})-(\d{1,2})$/);
+  if (match) {
+    [, month, day] = match.map(Number);
+  } else if ((match = text.match(/^([a-z]+)\.? (\d{1,2})$/))) {
+    month = match[1] === "may" ? 5 : parseMonth(match[1]);
+    day = Number(match[2]);
+  } else if ((match = text.match(/^(\d{1,2}) ([a-z]+)\.?$/))) {
+    month = match[2] === "may" ? 5 : parseMonth(match[2]);
+    day = Number(match[1]);
+  }
+
+  // Checked against a leap year so Feb 29 is allowed
+  const valid =
+    month >= 1 &&
+    month <= 12 &&
+    day >= 1 &&
+    day <=
+      Number(endOfMonth(`2024-${String(month).padStart(2, "0")}-01`).slice(8));
+  return valid
+    ? `${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`
+    : null;
+};
+
+/**
+ * Returns the schedule day that matches a date, used when no "on ..." is given.
+ */
+const getScheduleDayOf = (frequency, isoDate) => {
+  if (frequency === "monthly") return Number(isoDate.slice(8));
+  if (frequency === "weekly") return getWeekday(isoDate);
+  return isoDate.slice(5);
+};
+
+/**
+ * Parses the arguments of /recurring add, e.g.
+ * `"Rent" 15000 Utilities monthly on 5`, `Netflix 549 monthly`,
+ * `"Badminton court" 400 Personal weekly on saturday`, `Domain 700 yearly on dec 25`.
+ * The description may be quoted; the category, frequency (monthly by default)
+ * and day (today's by default) are optional.
+ * @param {string} args - The text after "/recurring add".
+ * @param {object} options
+ * @param {Array<string>} options.categories - The known categories.
+ * @param {string} options.today - Today's date in Manila, "YYYY-MM-DD".
+ * @returns {object|null} { description, amount, category, frequency, day } where
+ *   category is null if not given, or null if the arguments are not understood.
+ */
+export const parseRecurringArgs = (args, { categories, today }) => {
+  const text = args.trim();
+  let description;
+  let rest;
+
+  const quoted = text.match(/^(?:"([^"]+)"|“([^”]+)”)\s*(.*)$/);
+  if (quoted) {
+    description = (quoted[1] || quoted[2]).trim();
+    rest = quoted[3].split(/\s+/).filter(Boolean);
+  } else {
+    const words = text.split(/\s+/).filter(Boolean);
+    const amountIndex = words.findIndex((word) =>
+      /^(₱|php)?\d[\d,]*(\.\d+)?$/i.test(word)
+    );
+    if (amountIndex < 1) return null;
+    description = words.slice(0, amountIndex).join(" ");
+    rest = words.slice(amountIndex);
+  }
+
+  const amount = parseFloat((rest.shift() || "").replace(/₱|php|,/gi, ""));
+  if (!description || isNaN(amount) || amount <= 0) return null;
+
+  let category = null;
+  const matchedCategory =
+    rest.length > 0 &&
+    categories.find((cat) => cat.toLowerCase() === rest[0].toLowerCase());
+  if (matchedCategory) {
+    category = matchedCategory;
+    rest.shift();
+  }
+
+  let frequency = "monthly";
+  if (
+    rest.length > 0 &&
+    RECURRING_FREQUENCIES.includes(rest[0].toLowerCase())
+  ) {
+    frequency = rest.shift().toLowerCase();
+  }
+
+  if (rest.length > 0 && rest[0].toLowerCase() === "on") rest.shift();
+  const day =
+    rest.length > 0
+      ? parseScheduleDay(frequency, rest)
+      : getScheduleDayOf(frequency, today);
+  if (day === null) return null;
+
+  return { description, amount, category, frequency, day };
+};
+
+/**
+ * Tells whether a recurring item falls on a date. Monthly items set for a
+ * day the month doesn't have (e.g. the 31st) fall on its last day, and
+ * yearly items on Feb 29 fall on Feb 28 outside leap years.
+ */
+const isDueOn = (item, isoDate) => {
+  if (item.frequency === "weekly") return getWeekday(isoDate) === item.day;
+
+  const lastDay = Number(endOfMonth(isoDate).slice(8));
+  const dayOfMonth = Number(isoDate.slice(8));
+
+  if (item.frequency === "monthly") {
+    return dayOfMonth === Math.min(item.day, lastDay);
+  }
+
+  const [month, day] = item.day.split("-").map(Number);
+  return (
+    Number(isoDate.slice(5, 7)) === month &&
+    dayOfMonth === Math.min(day, lastDay)
+  );
+};
+
+/**
+ * Returns the first date after `after` on which the item falls.
+ */
+export const getNextDueDate = (item, after) => {
+  let date = addDays(after, 1);
+  while (!isDueOn(item, date)) date = addDays(date, 1);
+  return date;
+};
+
+/**
+ * Returns the dates up to today that an item should have been logged on
+ * but wasn't, oldest first. Items start after the day they were added.
+ * @param {object} item - { frequency, day, startDate, lastLogged }
+ * @param {string} today - Today's date in Manila, "YYYY-MM-DD".
+ * @returns {Array<string>}
+ */
+export const getDueDates = (item, today) => {
+  const dates = [];
+  let date = getNextDueDate(item, item.lastLogged || item.startDate);
+  while (date <= today) {
+    dates.push(date);
+    date = getNextDueDate(item, date);
+  }
+  return dates.slice(-MAX_CATCH_UP);
+};
+
+/**
+ * Describes an item's schedule, e.g. "monthly on the 5th", "every Saturday".
+ */
+export const formatSchedule = (item) => {
+  if (item.frequency === "weekly") return `every ${WEEKDAY_NAMES[item.day]}`;
+  if (item.frequency === "yearly") {
+    return `yearly on ${formatDate(`2000-${item.day}`).replace(/, 2000$/, "")}`;
+  }
+
+  const suffix =
+    item.day % 10 === 1 && item.day !== 11
+      ? "st"
+      : item.day % 10 === 2 && item.day !== 12
+      ? "nd"
+      : item.day % 10 === 3 && item.day !== 13
+      ? "rd"
+      : "th";
+  return `monthly on the ${item.day}${suffix}`;
+};
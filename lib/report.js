@@ -0,0 +1,324 @@
+// lib/report.js
+
+import {
+  addDays,
+  addMonths,
+  countDays,
+  endOfMonth,
+  formatDateRange,
+  getWeekday,
+  normalizeDate,
+  startOfMonth,
+} from "./dates.js";
+import { escapeHtml, formatPeso } from "./format.js";
+import { calculateAccountTotals } from "./accounts.js";
+
+/**
+ * Turns the arguments of /report into a date range and the range it is
+ * compared with. Ranges to date ("week", "month") are compared with the same
+ * days of the previous week or month, so a partial month isn't held against
+ * a full one.
+ * @param {string} args - e.g. "", "today", "week", "last month", "2026-09-01 2026-09-30".
+ * @param {string} today - Today's date in Manila, "YYYY-MM-DD".
+ * @returns {object|null} { label, start, end, previous: { label, start, end } }, or null if not understood.
+ */
+export const resolveReportPeriod = (args, today) => {
+  const text = args.trim().toLowerCase().replace(/\s+/g, " ");
+
+  switch (text) {
+    case "today":
+      return {
+        label: "Today",
+        start: today,
+        end: today,
+        previous: {
+          label: "yesterday",
+          start: addDays(today, -1),
+          end: addDays(today, -1),
+        },
+      };
+    case "yesterday": {
+      const yesterday = addDays(today, -1);
+      return {
+        label: "Yesterday",
+        start: yesterday,
+        end: yesterday,
+        previous: {
+          label: "the day before",
+          start: addDays(yesterday, -1),
+          end: addDays(yesterday, -1),
+        },
+      };
+    }
+    case "week":
+    case "this week": {
+      // Weeks start on Monday
+      const start = addDays(today, -((getWeekday(today) + 6) % 7));
+      return {
+        label: "This week",
+        start,
+        end: today,
+        previous: {
+          label: "same days last week",
+          start: addDays(start, -7),
+          end: addDays(today, -7),
+        },
+      };
+    }
+    case "last week": {
+      const start = addDays(today, -((getWeekday(today) + 6) % 7) - 7);
+      return {
+        label: "Last week",
+        start,
+        end: addDays(start, 6),
+        previous: {
+          label: "the week before",
+          start: addDays(start, -7),
+          end: addDays(start, -1),
+        },
+      };
+    }
+    case "":
+    case "month":
+    case "this month": {
+      const start = startOfMonth(today);
+      return {
+        label: "This month",
+        start,
+        end: today,
+        previous: {
+          label: "same days last month",
+          start: addMonths(start, -1),
+          end: addMonths(today, -1),
+        },
+      };
+    }
+    case "last month": {
+      const start = startOfMonth(addMonths(today, -1));
+      const previousStart = addMonths(start, -1);
+      return {
+        label: "Last month",
+        start,
+        end: endOfMonth(start),
+        previous: {
+          label: "the month before",
+          start: previousStart,
+          end: endOfMonth(previousStart),
+        },
+      };
+    }
+  }
+
+  // Custom range: "2026-09-01 2026-09-30" (or a single day)
+  const dates = text.split(/ to | - | /).map(normalizeDate);
+  if (dates.length > 2 || dates.some((date) => !date)) return null;
+
+  const [start, end = start] =
+    dates[0] <= dates[dates.length - 1] ? dates : [...dates].reverse();
+  const length = countDays(start, end);
+  return {
+    label: "Custom range",
+    start,
+    end,
+    previous: {
+      label: `previous ${length} day(s)`,
+      start: addDays(start, -length),
+      end: addDays(start, -1),
+    },
+  };
+};
+
+/**
+ * Tells whether a record is money coming in rather than an expense.
+ */
+export const isIncome = (record) => record.type === "income";
+
+/**
+ * Returns the expenses among records, leaving out income.
+ */
+export const getExpenses = (records) =>
+  records.filter((record) => !isIncome(record));
+
+/**
+ * Adds up the amounts of records.
+ */
+export const sumAmounts = (records) =>
+  records.reduce((sum, record) => sum + record.amount, 0);
+
+/**
+ * Sums the amounts of expenses per category (income is left out).
+ * @param {Array<object>} records
+ * @param {Array<string>} [categories] - Categories to include even at zero.
+ * @returns {object} { [category]: total }
+ */
+export const calculateCategoryTotals = (records, categories = []) => {
+  const categoryTotals = {};
+  categories.forEach((cat) => (categoryTotals[cat] = 0));
+  getExpenses(records).forEach((record) => {
+    categoryTotals[record.category] =
+      (categoryTotals[record.category] || 0) + record.amount;
+  });
+  return categoryTotals;
+};
+
+/**
+ * Returns the records whose date falls within [start, end].
+ * Records with unreadable dates are left out.
+ */
+export const filterRecordsByDate = (records, start, end) =>
+  records.filter((record) => {
+    const date = normalizeDate(record.date);
+    return date && date >= start && date <= end;
+  });
+
+/**
+ * Computes the statistics of a report period from the stored records.
+ * Totals are of expenses; income only counts toward the net cash flow.
+ */
+export const buildReport = (records, period) => {
+  const inPeriodRecords = filterRecordsByDate(
+    records,
+    period.start,
+    period.end
+  );
+  const inPeriod = getExpenses(inPeriodRecords);
+  const previousRecords = getExpenses(
+    filterRecordsByDate(records, period.previous.start, period.previous.end)
+  );
+
+  const total = sumAmounts(inPeriod);
+  const previousTotal = sumAmounts(previousRecords);
+  const income = sumAmounts(inPeriodRecords.filter(isIncome));
+
+  const categories = Object.entries(calculateCategoryTotals(inPeriod))
+    .map(([category, amount]) => ({
+      category,
+      amount,
+      share: total > 0 ? (amount / total) * 100 : 0,
+    }))
+    .sort((a, b) => b.amount - a.amount);
+
+  return {
+    period,
+    total,
+    count: inPeriod.length,
+    income,
+    net: income - total,
+    categories,
+    // Only worth showing once expenses have accounts
+    accounts: inPeriod.some((record) => record.account)
+      ? calculateAccountTotals(inPeriod)
+      : [],
+    dailyAverage: total / countDays(period.start, period.end),
+    topExpenses: [...inPeriod].sort((a, b) => b.amount - a.amount).slice(0, 5),
+    previousTotal,
+    undatedCount: records.filter((record) => !normalizeDate(record.date))
+      .length,
+  };
+};
+
+/**
+ * Formats the change from the previous period, e.g. "▲ 12.5% (+PHP 300.00)".
+ */
+const formatChange = (current, previous) => {
+  const difference = current - previous;
+  if (previous === 0) {
+    return current === 0 ? "no change" : "nothing to compare with";
+  }
+  const percent = (Math.abs(difference) / previous) * 100;
+  const arrow = difference > 0 ? "▲" : difference < 0 ? "▼" : "•";
+  return `${arrow} ${percent.toFixed(1)}% (${
+    difference >= 0 ? "+" : "-"
+  }${formatPeso(Math.abs(difference))})`;
+};
+
+/**
+ * Formats a net cash flow with its sign, e.g. "+PHP 1,200.00".
+ */
+export const formatNet = (amount) =>
+  `${amount >= 0 ? "+" : "-"}${formatPeso(Math.abs(amount))}`;
+
+/**
+ * Formats a report as a Telegram HTML message.
+ */
+export const formatReport = (report) => {
+  const { period } = report;
+  const lines = [
+    `📊 <b>${period.label}</b> (${formatDateRange(period.start, period.end)})`,
+    ``,
+    `💸 Total: <b>${formatPeso(report.total)}</b> in ${
+      report.count
+    } expense(s)`,
+    `📅 Daily average: ${formatPeso(report.dailyAverage)}`,
+    `↕️ vs ${period.previous.label}: ${formatChange(
+      report.total,
+      report.previousTotal
+    )} (was ${formatPeso(report.previousTotal)})`,
+  ];
+
+  if (report.income > 0) {
+    lines.push(
+      `💰 Income: ${formatPeso(report.income)}`,
+      `${report.net >= 0 ? "📈" : "📉"} Net cash flow: <b>${formatNet(
+        report.net
+      )}</b>`
+    );
+  }
+
+  if (report.categories.length > 0) {
+    lines.push(``, `<b>By category:</b>`);
+    report.categories.forEach(({ category, amount, share }) => {
+      lines.push(
+        `• ${escapeHtml(category)}: ${formatPeso(amount)} (${share.toFixed(
+          1
+        )}%)`
+      );
+    });
+  }
+
+  if (report.accounts.length > 0) {
+    lines.push(``, `<b>By account:</b>`);
+    report.accounts.forEach(({ account, amount }) => {
+      lines.push(`• ${escapeHtml(account)}: ${formatPeso(amount)}`);
+    });
+  }
+
+  if (report.topExpenses.length > 0) {
+    lines.push(``, `<b>Top expenses:</b>`);
+    report.topExpenses.forEach((record, index) => {
+      lines.push(
+        `${index + 1}. ${escapeHtml(record.description)} — ${formatPeso(
+          record.amount
+        )} (${escapeHtml(normalizeDate(record.date))})`
+      );
+    });
+  }
+
+  if (report.undatedCount > 0) {
+    lines.push(
+      ``,
+      `⚠️ ${report.undatedCount} expense(s) have an unreadable date and were left out.`
+    );
+  }
+
+  return lines.join("\n");
+};
+
+/**
+ * Formats the income, expenses and net cash flow of a report for /balance.
+ */
+export const formatBalance = (report) => {
+  const { period } = report;
+  return (
+    `💰 <b>Balance</b> — ${period.label} (${formatDateRange(
+      period.start,
+      period.end
+    )})\n\n` +
+    `Income: ${formatPeso(report.income)}\n` +
+    `Expenses: ${formatPeso(report.total)}\n` +
+    `${report.net >= 0 ? "📈" : "📉"} Net: <b>${formatNet(report.net)}</b>` +
+    (report.income === 0
+      ? `\n\nNo income logged yet. Send e.g. "sweldo 25000" or "received 500 from Ana".`
+      : "")
+  );
+};
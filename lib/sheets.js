@@ -0,0 +1,120 @@
+// lib/sheets.js
+
+import { google } from "googleapis";
+import { LEDGER_CSV_COLUMNS, getLedgerRow } from "./ledger.js";
+
+export const DEFAULT_WORKSHEET = "Expenses";
+
+// Same columns as the ledger CSV export
+export const SHEET_HEADER = LEDGER_CSV_COLUMNS;
+
+let sheetsClient = null;
+let serviceAccountEmail = null;
+
+/**
+ * Creates a Google Sheets client that signs in as a service account.
+ * @param {object} options
+ * @param {string} options.clientEmail - The service account's email.
+ * @param {string} options.privateKey - Its PEM private key.
+ */
+export const createSheetsClient = ({ clientEmail, privateKey }) =>
+  google.sheets({
+    version: "v4",
+    auth: new google.auth.JWT({
+      email: clientEmail,
+      key: privateKey,
+      scopes: ["https://www.googleapis.com/auth/spreadsheets"],
+    }),
+  });
+
+/**
+ * Sets the Sheets client used by every sync. Tests can pass an object with
+ * the same `spreadsheets.get/batchUpdate/values.clear/values.update`
+ * methods to run without network access.
+ * @param {object|null} client - null turns Sheets sync off.
+ * @param {string} [email] - The service account users share their sheet with.
+ */
+export const setSheetsClient = (client, email = null) => {
+  sheetsClient = client;
+  serviceAccountEmail = email;
+};
+
+export const isSheetsConfigured = () => sheetsClient !== null;
+
+export const getServiceAccountEmail = () => serviceAccountEmail;
+
+/**
+ * Extracts the spreadsheet ID from a Google Sheets link or a bare ID.
+ * @returns {string|null} The ID, or null if the text is not a sheet.
+ */
+export const parseSpreadsheetId = (text) => {
+  const trimmed = (text || "").trim();
+  const fromUrl = trimmed.match(/\/spreadsheets\/d\/([\w-]+)/);
+  if (fromUrl) return fromUrl[1];
+  return /^[\w-]{20,}$/.test(trimmed) ? trimmed : null;
+};
+
+export const getSpreadsheetUrl = (spreadsheetId) =>
+  `https://docs.google.com/spreadsheets/d/${spreadsheetId}/edit`;
+
+/**
+ * Adds the worksheet to the spreadsheet unless it already exists.
+ */
+const ensureWorksheet = async (spreadsheetId, worksheet) => {
+  const { data } = await sheetsClient.spreadsheets.get({
+    spreadsheetId,
+    fields: "sheets.properties.title",
+  });
+
+  const exists = (data.sheets || []).some(
+    (sheet) => sheet.properties.title === worksheet
+  );
+  if (exists) return;
+
+  await sheetsClient.spreadsheets.batchUpdate({
+    spreadsheetId,
+    requestBody: {
+      requests: [{ addSheet: { properties: { title: worksheet } } }],
+    },
+  });
+};
+
+/**
+ * Replaces the contents of a worksheet with the given records, so the sheet
+ * always matches the stored ledger even after edits and deletions.
+ * @param {string} spreadsheetId
+ * @param {Array<object>} records - The ledger's records.
+ * @param {object} [options]
+ * @param {string} [options.worksheet] - The worksheet (tab) to write to.
+ * @returns {number} The number of records written.
+ */
+export const writeSheetRecords = async (
+  spreadsheetId,
+  records,
+  { worksheet = DEFAULT_WORKSHEET } = {}
+) => {
+  if (!sheetsClient) {
+    throw new Error("Google Sheets is not configured");
+  }
+
+  await ensureWorksheet(spreadsheetId, worksheet);
+
+  const range = `'${worksheet.replace(/'/g, "''")}'`;
+  const rows = records.map(getLedgerRow);
+
+  await sheetsClient.spreadsheets.values.clear({
+    spreadsheetId,
+    range: `${range}!A:Z`,
+  });
+  await sheetsClient.spreadsheets.values.update({
+    spreadsheetId,
+    range: `${range}!A1`,
+    valueInputOption: "RAW", // Never evaluate descriptions as formulas
+    requestBody: { values: [SHEET_HEADER, ...rows] },
+  });
+
+  console.log(
+    `Synced ${records.length} records to spreadsheet ${spreadsheetId}`
+  );
+  return records.length;
+};
@@ -0,0 +1,203 @@
+// lib/splits.js
+
+import { formatPeso } from "./format.js";
+import { BASE_CURRENCY, findCurrencyInText } from "./currency.js";
+
+// Most people one shared expense can be split between, payer included
+export const MAX_SPLIT_MEMBERS = 20;
+
+/**
+ * A group's shared expenses and settlements, kept apart from its ledger:
+ * { names: { [member]: displayName }, entries: [...] } where each entry is
+ * { id, type: "expense", date, description, amount, paidBy, shares: { [member]: amount }, batch }
+ * or { id, type: "settlement", date, from, to, amount, batch }. Amounts are
+ * in pesos; an expense paid in another currency also has originalAmount,
+ * currency and rate.
+ */
+export const EMPTY_SPLITS = { names: {}, entries: [] };
+
+/**
+ * Returns the key a group member is tracked under: their @username when they
+ * have one (so others can mention them), otherwise their Telegram ID.
+ * @param {object} user - A Telegram user.
+ */
+export const getMemberKey = (user) =>
+  user.username ? `@${user.username.toLowerCase()}` : `#${user.id}`;
+
+/**
+ * Returns how a group member is shown in replies, e.g. "@Ana" or "Ben".
+ */
+export const getMemberName = (user) =>
+  user.username ? `@${user.username}` : user.first_name || `#${user.id}`;
+
+// A standalone number, so "7-11" or "2pc" aren't taken for the amount
+const AMOUNT_PATTERN = "(?<![\\w.-])(\\d+(?:\\.\\d{1,2})?)(?![\\w-]|\\.\\d)";
+
+/**
+ * Escapes text for use in a regular expression.
+ */
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Reads a shared expense like "dinner 2400 split with @ana @ben" or
+ * "taxi $50 hati kay @ana". The amount is the one next to a currency
+ * ("$50", "2400 pesos", "1500 yen"), otherwise the last number, so
+ * "2 pizzas 1200" is 1200.
+ * @returns {object|null} { description, amount, currency, members } where
+ *   members are the mentioned keys and amount (in `currency`) is null when
+ *   none was given, or null if the message isn't a split.
+ */
+export const parseSplitMessage = (text) => {
+  const mentions = [...String(text).matchAll(/@(\w{1,32})/g)];
+  if (mentions.length === 0 || !/\b(split|hati)\b/i.test(text)) return null;
+
+  const rest = String(text)
+    .replace(/@\w{1,32}/g, " ")
+    .replace(/\b(split|hati)(\s+(with|between|among|kay|sa))?\b/gi, " ")
+    .replace(/(\d),(?=\d{3}\b)/g, "$1"); // "2,400" -> "2400"
+
+  const found = findCurrencyInText(rest);
+  const marker = found && escapeRegExp(found.match);
+  const amountMatch =
+    (marker &&
+      (rest.match(new RegExp(`${marker}\\s*${AMOUNT_PATTERN}`, "i")) ||
+        rest.match(new RegExp(`${AMOUNT_PATTERN}\\s*${marker}\\b`, "i")))) ||
+    [...rest.matchAll(new RegExp(AMOUNT_PATTERN, "g"))].pop();
+  const amount = amountMatch ? parseFloat(amountMatch[1]) : null;
+  const description = (
+    amountMatch
+      ? rest.slice(0, amountMatch.index) +
+        " " +
+        rest.slice(amountMatch.index + amountMatch[0].length)
+      : rest
+  )
+    .replace(/\b(and|at|pesos?)\b|[,&]/gi, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+  return {
+    description: description || "Shared expense",
+    amount: amount > 0 ? amount : null,
+    currency: found ? found.currency : BASE_CURRENCY,
+    members: [
+      ...new Set(mentions.map((match) => `@${match[1].toLowerCase()}`)),
+    ],
+  };
+};
+
+/**
+ * Splits an amount evenly, to the centavo. Leftover centavos go to the
+ * first members, so the shares always add up to the amount.
+ * @returns {object} { [member]: share }
+ */
+export const splitEvenly = (amount, members) => {
+  const cents = Math.round(amount * 100);
+  const base = Math.floor(cents / members.length);
+  const leftover = cents - base * members.length;
+  return Object.fromEntries(
+    members.map((member, index) => [
+      member,
+      (base + (index < leftover ? 1 : 0)) / 100,
+    ])
+  );
+};
+
+/**
+ * Works out where everyone stands: positive balances are owed money,
+ * negative ones owe it.
+ * @returns {object} { [member]: balance }, without settled-up members.
+ */
+export const calculateBalances = (entries) => {
+  const cents = {};
+  const add = (member, amount) =>
+    (cents[member] = (cents[member] || 0) + Math.round(amount * 100));
+
+  entries.forEach((entry) => {
+    if (entry.type === "settlement") {
+      add(entry.from, entry.amount);
+      add(entry.to, -entry.amount);
+      return;
+    }
+    add(entry.paidBy, entry.amount);
+    Object.entries(entry.shares).forEach(([member, share]) =>
+      add(member, -share)
+    );
+  });
+
+  return Object.fromEntries(
+    Object.entries(cents)
+      .filter(([, amount]) => amount !== 0)
+      .map(([member, amount]) => [member, amount / 100])
+  );
+};
+
+/**
+ * Plans who pays whom to settle everything in few payments: the biggest
+ * debtor pays the biggest creditor until one of them is square.
+ * @returns {Array<object>} { from, to, amount }
+ */
+export const planSettlements = (balances) => {
+  const toCents = (sign) =>
+    Object.entries(balances)
+      .map(([member, amount]) => ({
+        member,
+        cents: Math.round(sign * amount * 100),
+      }))
+      .filter(({ cents }) => cents > 0)
+      .sort((a, b) => b.cents - a.cents || a.member.localeCompare(b.member));
+  const creditors = toCents(1);
+  const debtors = toCents(-1);
+
+  const payments = [];
+  while (creditors.length > 0 && debtors.length > 0) {
+    const [creditor, debtor] = [creditors[0], debtors[0]];
+    const cents = Math.min(creditor.cents, debtor.cents);
+    payments.push({
+      from: debtor.member,
+      to: creditor.member,
+      amount: cents / 100,
+    });
+    creditor.cents -= cents;
+    debtor.cents -= cents;
+    if (creditor.cents === 0) creditors.shift();
+    if (debtor.cents === 0) debtors.shift();
+    // Keep the biggest amounts first
+    creditors.sort((a, b) => b.cents - a.cents);
+    debtors.sort((a, b) => b.cents - a.cents);
+  }
+  return payments;
+};
+
+/**
+ * Formats the balances and settle-up plan of a group for /owed.
+ * @param {object} splits - The group's splits (see EMPTY_SPLITS).
+ * @param {Function} nameOf - (member) => display name (HTML-escaped).
+ */
+export const formatOwed = (splits, nameOf) => {
+  const balances = calculateBalances(splits.entries);
+  const payments = planSettlements(balances);
+  if (payments.length === 0) {
+    return "🤝 Everyone is settled up.";
+  }
+
+  const standings = Object.entries(balances)
+    .sort((a, b) => b[1] - a[1])
+    .map(([member, amount]) =>
+      amount > 0
+        ? `• ${nameOf(member)} is owed ${formatPeso(amount)}`
+        : `• ${nameOf(member)} owes ${formatPeso(-amount)}`
+    );
+
+  return (
+    `🤝 <b>Who owes whom</b>\n\n` +
+    standings.join("\n") +
+    `\n\n<b>To settle up (${payments.length} payment(s)):</b>\n` +
+    payments
+      .map(
+        ({ from, to, amount }) =>
+          `• ${nameOf(from)} → ${nameOf(to)}: <b>${formatPeso(amount)}</b>`
+      )
+      .join("\n") +
+    `\n\nAfter paying, record it with /settle @name amount (or /settle #number for members without a username).`
+  );
+};
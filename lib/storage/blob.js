@@ -0,0 +1,175 @@
+// lib/storage/blob.js
+
+import { put, list, del } from "@vercel/blob";
+import { StorageConflictError } from "./errors.js";
+import {
+  getVersionPrefix,
+  getVersionPath,
+  getVersionFromPath,
+  getPrunableVersions,
+} from "./paths.js";
+
+/**
+ * Creates a storage adapter backed by Vercel Blob.
+ * @param {object} options
+ * @param {string} options.token - The Blob read/write token.
+ * @param {string} [options.root] - Folder that every path is stored under.
+ */
+export const createBlobStorage = ({ token, root = "expenses/" }) => {
+  /**
+   * Lists the versions of a document, newest first.
+   */
+  const listVersions = async (path) => {
+    const { blobs } = await list({
+      token,
+      prefix: root + getVersionPrefix(path), // Look for our versioned files
+    });
+
+    console.log(
+      "Listed blobs:",
+      blobs?.map((b) => ({ pathname: b.pathname, uploadedAt: b.uploadedAt }))
+    );
+
+    return (blobs || [])
+      .map((blob) => ({
+        ...blob,
+        version: getVersionFromPath(path, blob.pathname),
+        createdAt: blob.uploadedAt,
+      }))
+      .filter(({ version }) => !isNaN(version))
+      .sort((a, b) => b.version - a.version);
+  };
+
+  /**
+   * Reads the newest version of a document.
+   * @returns {object|null} { content, version, url, pathname }, or null if missing.
+   */
+  const read = async (path) => {
+    let targetBlob;
+    try {
+      [targetBlob] = await listVersions(path);
+    } catch (listError) {
+      console.error("Blob list failed:", listError.message);
+      throw new Error(`Blob Read Error: ${listError.message}`);
+    }
+
+    if (!targetBlob) {
+      console.log("No existing blob found for", path);
+      return null;
+    }
+
+    console.log("Found most recent blob:", {
+      pathname: targetBlob.pathname,
+      url: targetBlob.url,
+      version: targetBlob.version,
+    });
+
+    // Every version has its own URL, so the CDN never serves stale content
+    const response = await fetch(targetBlob.url);
+
+    if (!response.ok) {
+      throw new Error(
+        `Blob Read Error: HTTP ${response.status}: ${response.statusText}`
+      );
+    }
+
+    const content = await response.text();
+    console.log("Successfully read blob content, length:", content.length);
+    console.log("Content preview:", content.substring(0, 200) + "...");
+    return {
+      content,
+      version: targetBlob.version,
+      url: targetBlob.url,
+      pathname: targetBlob.pathname,
+    };
+  };
+
+  /**
+   * Reads one version of a document.
+   * @returns {object|null} { content, version, url, pathname }, or null if it was pruned.
+   */
+  const readVersion = async (path, version) => {
+    const blob = (await listVersions(path)).find(
+      (entry) => entry.version === version
+    );
+    if (!blob) return null;
+
+    const response = await fetch(blob.url);
+    if (!response.ok) {
+      throw new Error(
+        `Blob Read Error: HTTP ${response.status}: ${response.statusText}`
+      );
+    }
+    return {
+      content: await response.text(),
+      version,
+      url: blob.url,
+      pathname: blob.pathname,
+    };
+  };
+
+  /**
+   * Creates the given version of a document and prunes the oldest ones.
+   * @throws {StorageConflictError} If that version already exists.
+   * @returns {object} { version, url, pathname }
+   */
+  const write = async (
+    path,
+    content,
+    { version, contentType = "text/csv", keepHistory }
+  ) => {
+    const versionPath = root + getVersionPath(path, version);
+    console.log("Creating blob:", versionPath, "length:", content.length);
+
+    let newBlob;
+    try {
+      newBlob = await put(versionPath, content, {
+        token,
+        access: "public",
+        contentType,
+        addRandomSuffix: false,
+        allowOverwrite: false, // Fails if another writer took this version
+      });
+    } catch (error) {
+      if (error.message.includes("already exists")) {
+        throw new StorageConflictError(path, version);
+      }
+      console.error("Error in blob write:", error);
+      throw new Error(`Failed to write blob content: ${error.message}`);
+    }
+
+    console.log("Successfully created new blob:", {
+      url: newBlob.url,
+      pathname: newBlob.pathname,
+    });
+
+    // Optional: Clean up old versions
+    try {
+      const blobsToDelete = getPrunableVersions(await listVersions(path), {
+        keepHistory,
+      });
+
+      for (const oldBlob of blobsToDelete) {
+        try {
+          await del(oldBlob.pathname, { token });
+          console.log("Cleaned up old blob:", oldBlob.pathname);
+        } catch (cleanupError) {
+          console.log(
+            "Cleanup failed for:",
+            oldBlob.pathname,
+            cleanupError.message
+          );
+        }
+      }
+    } catch (cleanupError) {
+      console.log(
+        "Cleanup process failed (non-critical):",
+        cleanupError.message
+      );
+    }
+
+    return { version, url: newBlob.url, pathname: newBlob.pathname };
+  };
+
+  return { name: "blob", read, readVersion, listVersions, write };
+};
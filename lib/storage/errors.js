@@ -0,0 +1,14 @@
+// lib/storage/errors.js
+
+/**
+ * Thrown by a storage adapter when the version being written already exists,
+ * i.e. someone else saved the document after we read it.
+ */
+export class StorageConflictError extends Error {
+  constructor(path, version) {
+    super(`Storage conflict: ${path} version ${version} already exists`);
+    this.name = "StorageConflictError";
+    this.path = path;
+    this.version = version;
+  }
+}
@@ -0,0 +1,136 @@
+// lib/storage/index.js
+
+import { createBlobStorage } from "./blob.js";
+import { createLocalStorage } from "./local.js";
+import { createSqliteStorage } from "./sqlite.js";
+import { StorageConflictError } from "./errors.js";
+import {
+  KEEP_VERSIONS,
+  HISTORY_RETENTION_DAYS,
+  MAX_HISTORY_VERSIONS,
+} from "./paths.js";
+
+export {
+  StorageConflictError,
+  KEEP_VERSIONS,
+  HISTORY_RETENTION_DAYS,
+  MAX_HISTORY_VERSIONS,
+};
+
+export const STORAGE_BACKENDS = ["blob", "local", "sqlite"];
+
+/**
+ * Creates the storage adapter selected by the STORAGE_BACKEND setting.
+ *
+ * Every adapter exposes the same interface, with paths relative to the
+ * storage root (e.g. "user_12345/kwentako_data.csv"):
+ *   read(path)                       -> { content, version, url, pathname } | null
+ *   readVersion(path, version)       -> { content, version, url, pathname } | null
+ *   listVersions(path)               -> [{ version, createdAt }], newest first
+ *   write(path, content, { version, keepHistory }) -> { version, url, pathname }
+ * Documents are stored as numbered versions. write() only creates a version
+ * that doesn't exist yet and throws StorageConflictError otherwise, which is
+ * what updateDocument() builds its optimistic concurrency on. Old versions
+ * are pruned on write, except for the retention window of documents written
+ * with keepHistory (see getPrunableVersions).
+ * `url` is a public download link, or null when the backend has none.
+ *
+ * @param {object} options
+ * @param {string} [options.backend] - "blob" (default), "local" or "sqlite".
+ * @param {string} [options.blobToken] - Vercel Blob read/write token.
+ * @param {string} [options.localDir] - Root directory for the local backend.
+ * @param {string} [options.sqliteFile] - Database file for the SQLite backend.
+ */
+export const createStorage = ({
+  backend = "blob",
+  blobToken,
+  localDir = "./data",
+  sqliteFile = "./data/kwentako.db",
+} = {}) => {
+  switch (backend) {
+    case "blob":
+      return createBlobStorage({ token: blobToken });
+    case "local":
+      return createLocalStorage({ dir: localDir });
+    case "sqlite":
+      return createSqliteStorage({ file: sqliteFile });
+    default:
+      throw new Error(
+        `Unknown STORAGE_BACKEND "${backend}". Use one of: ${STORAGE_BACKENDS.join(
+          ", "
+        )}`
+      );
+  }
+};
+
+/**
+ * Applies a change to a document without losing concurrent updates.
+ *
+ * Reads the newest version, runs `mutate` on its content and saves the result
+ * as the next version. If another writer saved that version first, the whole
+ * read-mutate-write cycle is retried on top of their content, so `mutate`
+ * must only depend on the content it is given.
+ *
+ * @param {object} storage - A storage adapter from createStorage().
+ * @param {string} path - The document path.
+ * @param {Function} mutate - (content) => newContent, may be async.
+ * @param {object} [options]
+ * @param {Function} [options.initialContent] - Content to start from when the document doesn't exist, may be async.
+ * @param {string} [options.contentType] - Passed on to the adapter.
+ * @param {boolean} [options.keepHistory] - Keep old versions for /restore.
+ * @param {number} [options.maxAttempts] - Give up after this many conflicts.
+ * @returns {object} The write result plus the saved `content` and the
+ *   `previousVersion` it was based on (0 if the document didn't exist).
+ */
+export const updateDocument = async (
+  storage,
+  path,
+  mutate,
+  {
+    initialContent = () => "",
+    contentType,
+    keepHistory = false,
+    maxAttempts = 25,
+  } = {}
+) => {
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const stored = await storage.read(path);
+    const baseContent = stored ? stored.content : await initialContent();
+    const baseVersion = stored ? stored.version : 0;
+
+    const content = await mutate(baseContent);
+
+    // Nothing changed: skip the write (and the new version)
+    if (content === baseContent) {
+      return {
+        version: baseVersion,
+        url: stored ? stored.url : null,
+        pathname: stored ? stored.pathname : null,
+        content,
+        previousVersion: baseVersion,
+      };
+    }
+
+    try {
+      const result = await storage.write(path, content, {
+        version: baseVersion + 1,
+        contentType,
+        keepHistory,
+      });
+      return { ...result, content, previousVersion: baseVersion };
+    } catch (error) {
+      if (!(error instanceof StorageConflictError)) throw error;
+
+      // Someone saved first: back off a little (with jitter) and rebase
+      const waitTime = Math.round(Math.random() * Math.min(50 * attempt, 1000));
+      console.log(
+        `Write conflict on ${path} (attempt ${attempt}/${maxAttempts}), retrying in ${waitTime}ms`
+      );
+      await new Promise((resolve) => setTimeout(resolve, waitTime));
+    }
+  }
+
+  throw new Error(
+    `Failed to write ${path}: too many concurrent updates, please try again`
+  );
+};
@@ -0,0 +1,132 @@
+// lib/storage/local.js
+
+import { promises as fs } from "fs";
+import path from "path";
+import { StorageConflictError } from "./errors.js";
+import {
+  getVersionPrefix,
+  getVersionPath,
+  getVersionFromPath,
+  getPrunableVersions,
+} from "./paths.js";
+
+/**
+ * Creates a storage adapter that keeps documents on the local disk.
+ * Useful for self-hosting and for running the bot offline.
+ * @param {object} options
+ * @param {string} options.dir - Directory that every path is stored under.
+ */
+export const createLocalStorage = ({ dir }) => {
+  const rootDir = path.resolve(dir);
+
+  /**
+   * Lists the versions of a document, newest first.
+   * @returns {Array<{ version: number, file: string, createdAt: Date }>}
+   */
+  const listVersions = async (docPath) => {
+    const folder = path.join(rootDir, path.dirname(docPath));
+    const prefix = path.basename(getVersionPrefix(docPath));
+
+    let names = [];
+    try {
+      names = await fs.readdir(folder);
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      throw error;
+    }
+
+    const versions = names
+      .filter((name) => name.startsWith(prefix))
+      .map((name) => ({
+        version: getVersionFromPath(docPath, name),
+        file: path.join(folder, name),
+      }))
+      .filter(({ version }) => !isNaN(version))
+      .sort((a, b) => b.version - a.version);
+
+    for (const entry of versions) {
+      entry.createdAt = (await fs.stat(entry.file)).mtime;
+    }
+    return versions;
+  };
+
+  /**
+   * Reads the newest version of a document.
+   * @returns {object|null} { content, version, url, pathname }, or null if missing.
+   */
+  const read = async (docPath) => {
+    const [latest] = await listVersions(docPath);
+    if (!latest) {
+      console.log("No existing local file found for", docPath);
+      return null;
+    }
+
+    const content = await fs.readFile(latest.file, "utf8");
+    console.log("Read local file:", latest.file, "length:", content.length);
+    return {
+      content,
+      version: latest.version,
+      url: null,
+      pathname: latest.file,
+    };
+  };
+
+  /**
+   * Reads one version of a document.
+   * @returns {object|null} { content, version, url, pathname }, or null if it was pruned.
+   */
+  const readVersion = async (docPath, version) => {
+    const file = path.join(rootDir, getVersionPath(docPath, version));
+    try {
+      const content = await fs.readFile(file, "utf8");
+      return { content, version, url: null, pathname: file };
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+  };
+
+  /**
+   * Creates the given version of a document and prunes the oldest ones.
+   * @throws {StorageConflictError} If that version already exists.
+   * @returns {object} { version, url, pathname }
+   */
+  const write = async (docPath, content, { version, keepHistory }) => {
+    const file = path.join(rootDir, getVersionPath(docPath, version));
+    // Dot-prefixed so listVersions never picks up a half-written file
+    const tempFile = path.join(
+      path.dirname(file),
+      `.${path.basename(file)}.${process.pid}.${Math.random()
+        .toString(36)
+        .slice(2)}.tmp`
+    );
+
+    try {
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(tempFile, content, "utf8");
+      // link() is atomic and fails if the version already exists
+      await fs.link(tempFile, file);
+      console.log("Wrote local file:", file, "length:", content.length);
+    } catch (error) {
+      if (error.code === "EEXIST") {
+        throw new StorageConflictError(docPath, version);
+      }
+      console.error("Error in local write:", error);
+      throw new Error(`Failed to write local file: ${error.message}`);
+    } finally {
+      await fs.rm(tempFile, { force: true });
+    }
+
+    const oldVersions = getPrunableVersions(await listVersions(docPath), {
+      keepHistory,
+    });
+    for (const { file: oldFile } of oldVersions) {
+      await fs.rm(oldFile, { force: true });
+      console.log("Cleaned up old file:", oldFile);
+    }
+
+    return { version, url: null, pathname: file };
+  };
+
+  return { name: "local", read, readVersion, listVersions, write };
+};
@@ -0,0 +1,74 @@
+// lib/storage/paths.js
+
+// Number of versions kept per document; older ones are pruned on write
+export const KEEP_VERSIONS = 5;
+
+// Documents written with { keepHistory: true } (the ledger) also keep every
+// version younger than this, so /restore can roll back to any of them
+export const HISTORY_RETENTION_DAYS = 30;
+
+// Most versions kept of a document with history, however young
+export const MAX_HISTORY_VERSIONS = 200;
+
+// Versions younger than this are never pruned, so a writer that read an
+// older version can't re-create a pruned slot and slip behind the newest one
+export const PRUNE_AFTER_MS = 5 * 60 * 1000;
+
+/**
+ * Picks the versions that may be deleted from a newest-first list.
+ * @param {Array<{ createdAt: Date }>} versions - Sorted newest first.
+ * @param {object} [options]
+ * @param {boolean} [options.keepHistory] - Keep the retention window too.
+ */
+export const getPrunableVersions = (
+  versions,
+  { keepHistory = false, now = Date.now() } = {}
+) =>
+  versions.slice(KEEP_VERSIONS).filter(({ createdAt }, index) => {
+    const age = now - new Date(createdAt);
+    if (age <= PRUNE_AFTER_MS) return false;
+    return (
+      !keepHistory ||
+      age > HISTORY_RETENTION_DAYS * 24 * 60 * 60 * 1000 ||
+      index + KEEP_VERSIONS >= MAX_HISTORY_VERSIONS
+    );
+  });
+
+/**
+ * Splits a document path into its base name and extension.
+ * "user_1/kwentako_data.csv" -> ["user_1/kwentako_data", ".csv"]
+ */
+const splitExtension = (path) => {
+  const dot = path.lastIndexOf(".");
+  return dot > path.lastIndexOf("/")
+    ? [path.slice(0, dot), path.slice(dot)]
+    : [path, ""];
+};
+
+/**
+ * Returns the prefix shared by every version of a document.
+ * "user_1/kwentako_data.csv" -> "user_1/kwentako_data_"
+ */
+export const getVersionPrefix = (path) => `${splitExtension(path)[0]}_`;
+
+/**
+ * Returns the path of one version of a document.
+ * ("user_1/kwentako_data.csv", 42) -> "user_1/kwentako_data_42.csv"
+ */
+export const getVersionPath = (path, version) => {
+  const [base, extension] = splitExtension(path);
+  return `${base}_${version}${extension}`;
+};
+
+/**
+ * Extracts the version number from a versioned path (or file name),
+ * or NaN if it is not a version of the given document.
+ */
+export const getVersionFromPath = (path, versionPath) => {
+  const [, extension] = splitExtension(path);
+  const prefix = getVersionPrefix(path).split("/").pop();
+  const name = versionPath.split(/[\\/]/).pop();
+  if (!name.startsWith(prefix) || !name.endsWith(extension)) return NaN;
+  const version = name.slice(prefix.length, name.length - extension.length);
+  return /^\d+$/.test(version) ? Number(version) : NaN;
+};
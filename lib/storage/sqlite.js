@@ -0,0 +1,140 @@
+// lib/storage/sqlite.js
+
+import { promises as fs } from "fs";
+import path from "path";
+import { StorageConflictError } from "./errors.js";
+import { getPrunableVersions } from "./paths.js";
+
+/**
+ * Creates a storage adapter backed by a single SQLite database file.
+ * Uses the built-in node:sqlite module, so it needs Node.js 22.5 or newer.
+ * @param {object} options
+ * @param {string} options.file - Path of the database file.
+ */
+export const createSqliteStorage = ({ file }) => {
+  let db = null;
+
+  /**
+   * Opens the database on first use and creates the documents table.
+   */
+  const getDb = async () => {
+    if (db) return db;
+
+    let DatabaseSync;
+    try {
+      ({ DatabaseSync } = await import("node:sqlite"));
+    } catch (error) {
+      throw new Error(
+        `SQLite storage needs Node.js 22.5 or newer: ${error.message}`
+      );
+    }
+
+    await fs.mkdir(path.dirname(path.resolve(file)), { recursive: true });
+    db = new DatabaseSync(file);
+    // Wait for other processes' transactions instead of failing right away
+    db.exec("PRAGMA busy_timeout = 5000");
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS documents (
+        path TEXT NOT NULL,
+        version INTEGER NOT NULL,
+        content TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        PRIMARY KEY (path, version)
+      )
+    `);
+    console.log("Opened SQLite storage:", file);
+    return db;
+  };
+
+  /**
+   * Lists the versions of a document, newest first.
+   * @returns {Array<{ version: number, createdAt: string }>}
+   */
+  const listVersions = async (docPath) =>
+    (await getDb())
+      .prepare(
+        "SELECT version, created_at AS createdAt FROM documents WHERE path = ? ORDER BY version DESC"
+      )
+      .all(docPath);
+
+  /**
+   * Reads the newest version of a document.
+   * @returns {object|null} { content, version, url, pathname }, or null if missing.
+   */
+  const read = async (docPath) => {
+    const row = (await getDb())
+      .prepare(
+        "SELECT version, content FROM documents WHERE path = ? ORDER BY version DESC LIMIT 1"
+      )
+      .get(docPath);
+
+    if (!row) {
+      console.log("No existing SQLite document found for", docPath);
+      return null;
+    }
+
+    return {
+      content: row.content,
+      version: row.version,
+      url: null,
+      pathname: `${docPath}@${row.version}`,
+    };
+  };
+
+  /**
+   * Reads one version of a document.
+   * @returns {object|null} { content, version, url, pathname }, or null if it was pruned.
+   */
+  const readVersion = async (docPath, version) => {
+    const row = (await getDb())
+      .prepare("SELECT content FROM documents WHERE path = ? AND version = ?")
+      .get(docPath, version);
+
+    return row
+      ? {
+          content: row.content,
+          version,
+          url: null,
+          pathname: `${docPath}@${version}`,
+        }
+      : null;
+  };
+
+  /**
+   * Creates the given version of a document and prunes the oldest ones.
+   * @throws {StorageConflictError} If that version already exists.
+   * @returns {object} { version, url, pathname }
+   */
+  const write = async (docPath, content, { version, keepHistory }) => {
+    const database = await getDb();
+
+    try {
+      // The (path, version) primary key rejects a second writer
+      database
+        .prepare(
+          "INSERT INTO documents (path, version, content, created_at) VALUES (?, ?, ?, ?)"
+        )
+        .run(docPath, version, content, new Date().toISOString());
+    } catch (error) {
+      if (error.message.includes("UNIQUE constraint failed")) {
+        throw new StorageConflictError(docPath, version);
+      }
+      console.error("Error in SQLite write:", error);
+      throw new Error(`Failed to write SQLite document: ${error.message}`);
+    }
+
+    const deleteVersion = database.prepare(
+      "DELETE FROM documents WHERE path = ? AND version = ?"
+    );
+    const oldVersions = getPrunableVersions(await listVersions(docPath), {
+      keepHistory,
+    });
+    oldVersions.forEach(({ version: oldVersion }) =>
+      deleteVersion.run(docPath, oldVersion)
+    );
+
+    return { version, url: null, pathname: `${docPath}@${version}` };
+  };
+
+  return { name: "sqlite", read, readVersion, listVersions, write };
+};
@@ -0,0 +1,46 @@
+// test/access.test.js
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  EMPTY_ACCESS,
+  allow,
+  hasAccess,
+  isAccessControlled,
+  parseIdList,
+} from "../lib/access.js";
+
+test("without admins or allowed users anyone may use the bot", () => {
+  const config = { admins: [], allowed: [] };
+
+  assert.equal(isAccessControlled(config), false);
+  assert.equal(hasAccess(config, EMPTY_ACCESS, { userId: 7, chatId: 7 }), true);
+});
+
+test("an allowlist alone restricts the bot to it", () => {
+  const config = { admins: [], allowed: parseIdList("12, -100345") };
+
+  assert.equal(isAccessControlled(config), true);
+  assert.equal(
+    hasAccess(config, EMPTY_ACCESS, { userId: 12, chatId: 12 }),
+    true
+  );
+  assert.equal(
+    hasAccess(config, EMPTY_ACCESS, { userId: 7, chatId: -100345 }),
+    true
+  );
+  assert.equal(
+    hasAccess(config, EMPTY_ACCESS, { userId: 7, chatId: 7 }),
+    false
+  );
+});
+
+test("admins, env and stored allowlists all grant access", () => {
+  const config = { admins: [1], allowed: [2] };
+  const access = allow(EMPTY_ACCESS, { id: 3, name: "Ana" });
+
+  for (const userId of [1, 2, 3]) {
+    assert.equal(hasAccess(config, access, { userId, chatId: userId }), true);
+  }
+  assert.equal(hasAccess(config, access, { userId: 4, chatId: 4 }), false);
+});
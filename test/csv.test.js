@@ -0,0 +1,65 @@
+// test/csv.test.js
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { stringifyCsv, parseCsv } from "../lib/csv.js";
+import { generateLedgerCsv, getLedgerRow } from "../lib/ledger.js";
+import { parseStatement } from "../lib/import.js";
+
+// Fields that need quoting, or that a careless parser would mangle
+const TRICKY_ROWS = [
+  ["#hash", "starts like a comment"],
+  ["Kape, tinapay", 'Sabi niya "libre"'],
+  ["Line one\nline two", "₱1,200.50"],
+  ["Piña colada", "Ñ at ñ"],
+  ["", " spaces kept "],
+];
+
+test("rows survive a CSV round trip", async () => {
+  assert.deepEqual(await parseCsv(stringifyCsv(TRICKY_ROWS)), TRICKY_ROWS);
+});
+
+test("blank lines are skipped", async () => {
+  assert.deepEqual(await parseCsv("a,b\n\n#c,d\n"), [
+    ["a", "b"],
+    ["#c", "d"],
+  ]);
+});
+
+const records = TRICKY_ROWS.map(([description], index) => ({
+  date: "2026-10-18",
+  description: description || "Blank",
+  amount: 100 + index,
+  originalAmount: 100 + index,
+  currency: "PHP",
+  rate: 1,
+  category: "Food",
+  account: "GCash",
+  type: "expense",
+  id: `a1b2c${index}`,
+  batch: "b1",
+}));
+
+test("ledger rows survive the CSV export", async () => {
+  const [header, ...rows] = await parseCsv(generateLedgerCsv(records));
+  assert.equal(header[0], "Date");
+  assert.deepEqual(
+    rows,
+    records.map((record) => getLedgerRow(record).map(String))
+  );
+});
+
+test("an exported ledger imports every record", async () => {
+  const { layout, records: imported } = await parseStatement(
+    generateLedgerCsv(records),
+    { categories: ["Food", "Other"], guessCategory: () => "Other" }
+  );
+  assert.equal(layout, "KwentaKo");
+  assert.deepEqual(
+    imported.map(({ description, amount }) => [description, amount]),
+    records.map(({ description, amount }) => [
+      description.replace(/\s+/g, " ").trim(),
+      amount,
+    ])
+  );
+});
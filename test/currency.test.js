@@ -0,0 +1,77 @@
+// test/currency.test.js
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  createRateProvider,
+  convertToPesos,
+  findCurrencyInText,
+  setOriginalAmount,
+} from "../lib/currency.js";
+
+test("the fixture provider gives pesos per unit", async () => {
+  const { source, rates } = await createRateProvider({
+    provider: "fixture",
+  }).fetchRates();
+
+  assert.equal(source, "fixture");
+  assert.equal(rates.USD, 58.1);
+  assert.equal(rates.JPY, 0.38941); // 58.1 / 149.2
+  assert.equal(rates.PHP, undefined);
+});
+
+test("the http provider is the default", async (t) => {
+  const fetch = t.mock.method(globalThis, "fetch", async () => ({
+    ok: true,
+    json: async () => ({ base_code: "USD", rates: { PHP: 58, JPY: 145 } }),
+  }));
+
+  const { rates } = await createRateProvider().fetchRates();
+
+  assert.match(String(fetch.mock.calls[0].arguments[0]), /^https:\/\//);
+  assert.deepEqual(rates, { USD: 58, JPY: 0.4 });
+});
+
+test("unknown providers are refused", () => {
+  assert.throws(() => createRateProvider({ provider: "guess" }), /Unknown/);
+});
+
+test("converts foreign amounts with the fixture rates", async () => {
+  const { rates } = await createRateProvider({
+    provider: "fixture",
+  }).fetchRates();
+
+  const { records, missing } = convertToPesos(
+    [
+      { description: "Ramen", amount: 1500, currency: "jpy" },
+      { description: "Lunch", amount: 150 },
+      { description: "Fondue", amount: 40, currency: "CHF" },
+    ],
+    rates
+  );
+
+  assert.deepEqual(missing, ["CHF"]);
+  assert.deepEqual(
+    records.map(({ amount, originalAmount, currency, rate }) => [
+      amount,
+      originalAmount,
+      currency,
+      rate,
+    ]),
+    [
+      [584.12, 1500, "JPY", 0.38941],
+      [150, 150, "PHP", 1],
+    ]
+  );
+  assert.equal(setOriginalAmount(records[0], 1000).amount, 389.41);
+});
+
+test("finds the currency a message mentions", () => {
+  assert.deepEqual(findCurrencyInText("coffee $5"), {
+    currency: "USD",
+    match: "$",
+  });
+  assert.equal(findCurrencyInText("ramen 1500 yen").currency, "JPY");
+  assert.equal(findCurrencyInText("taxi 20 sgd").currency, "SGD");
+  assert.equal(findCurrencyInText("lunch 150"), null);
+});
@@ -0,0 +1,47 @@
+// test/export.test.js
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildExport } from "../lib/export.js";
+
+const records = [
+  {
+    date: "2026-10-18",
+    description: "Globe load",
+    amount: 300,
+    category: "Load/Data",
+    account: "",
+    type: "expense",
+    id: "aaaaaa",
+    batch: "",
+  },
+];
+
+/**
+ * Builds a CSV export with the given filters.
+ */
+const exportCsv = (options) =>
+  buildExport(records, {
+    format: "csv",
+    period: null,
+    category: null,
+    categories: ["Load/Data"],
+    creator: "Test",
+    ledgerId: "user_1",
+    ...options,
+  });
+
+test("names exports after their period and category", async () => {
+  const { filename, count } = await exportCsv({
+    period: { start: "2026-10-01", end: "2026-10-31" },
+    category: "Load/Data",
+  });
+
+  assert.equal(filename, "kwentako_2026-10-01_2026-10-31_load-data.csv");
+  assert.equal(count, 1);
+});
+
+test("keeps only safe characters of a category in the filename", async () => {
+  const { filename } = await exportCsv({ category: "Kain sa Labas!" });
+  assert.equal(filename, "kwentako_all_kain-sa-labas.csv");
+});
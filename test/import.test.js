@@ -0,0 +1,103 @@
+// test/import.test.js
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { generateLedgerCsv } from "../lib/ledger.js";
+import { parseStatement } from "../lib/import.js";
+
+const options = { categories: ["Food", "Other"], guessCategory: () => "Other" };
+
+const record = (description, amount, type, category) => ({
+  date: "2026-10-18",
+  description,
+  amount,
+  originalAmount: amount,
+  currency: "PHP",
+  rate: 1,
+  category,
+  account: "",
+  type,
+  id: description.slice(0, 6).toLowerCase(),
+  batch: "",
+});
+
+test("a KwentaKo export keeps its income when imported again", async () => {
+  const { records } = await parseStatement(
+    generateLedgerCsv([
+      record("Lunch", 150, "expense", "Food"),
+      record("Sweldo", 25000, "income", "Income"),
+    ]),
+    options
+  );
+
+  assert.deepEqual(
+    records.map(({ description, type, category }) => [
+      description,
+      type,
+      category,
+    ]),
+    [
+      ["Lunch", "expense", "Food"],
+      ["Sweldo", "income", "Income"],
+    ]
+  );
+});
+
+test("a KwentaKo export keeps its accounts and currencies", async () => {
+  const { records } = await parseStatement(
+    generateLedgerCsv([
+      {
+        ...record("Ramen", 584.12, "expense", "Food"),
+        originalAmount: 1500,
+        currency: "JPY",
+        rate: 0.38941,
+        account: "Card",
+      },
+      { ...record("Lunch", 150, "expense", "Food"), account: "GCash" },
+      record("Taho", 20, "expense", "Food"),
+    ]),
+    options
+  );
+
+  assert.deepEqual(
+    records.map(({ amount, originalAmount, currency, rate, account }) => [
+      amount,
+      originalAmount,
+      currency,
+      rate,
+      account,
+    ]),
+    [
+      [584.12, 1500, "JPY", 0.38941, "Card"],
+      [150, undefined, undefined, undefined, "GCash"],
+      [20, undefined, undefined, undefined, undefined],
+    ]
+  );
+});
+
+test("files without a Type column import expenses", async () => {
+  const { layout, records, incoming } = await parseStatement(
+    "Date,Description,Amount (PHP),Category\n2026-10-18,Lunch,150,Food\n",
+    options
+  );
+
+  assert.equal(layout, "KwentaKo");
+  assert.equal(incoming, 0);
+  assert.deepEqual(
+    records.map(({ type, category }) => [type, category]),
+    [["expense", "Food"]]
+  );
+});
+
+test("bank credits are still left out", async () => {
+  const { records, incoming } = await parseStatement(
+    "Date,Description,Debit,Credit\n2026-10-18,Grab,250,\n2026-10-18,Cash in,,1000\n",
+    options
+  );
+
+  assert.equal(incoming, 1);
+  assert.deepEqual(
+    records.map(({ description, type }) => [description, type]),
+    [["Grab", "expense"]]
+  );
+});
@@ -0,0 +1,304 @@
+// test/parse.test.js
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { setAIClient } from "../lib/ai.js";
+import { getManilaDate, parseDateExpression } from "../lib/dates.js";
+import { EMPTY_CATEGORY_CONFIG, addRule } from "../lib/categories.js";
+import {
+  parseMessageWithAI,
+  parseExpensesManually,
+  parseReceiptWithAI,
+  parseVoiceWithAI,
+} from "../lib/parse.js";
+import { formatTranscript } from "../lib/format.js";
+
+/**
+ * Replaces Gemini with a client that answers each request with the next
+ * canned answer (an Error is thrown instead), and records the requests.
+ */
+const useFakeAI = (t, ...answers) => {
+  t.mock.method(console, "log", () => {});
+  const requests = [];
+  setAIClient({
+    models: {
+      generateContent: async (request) => {
+        requests.push(request);
+        const answer = answers.shift();
+        if (answer instanceof Error) throw answer;
+        return { text: JSON.stringify(answer) };
+      },
+    },
+  });
+  return requests;
+};
+
+const config = addRule(EMPTY_CATEGORY_CONFIG, "jollibee", "Food");
+
+test("parses expenses and applies the merchant rules", async (t) => {
+  const requests = useFakeAI(t, {
+    intent: "expense",
+    expenses: [
+      {
+        description: "Jollibee",
+        amount: 150,
+        type: "expense",
+        category: "Other",
+        date: "2026-10-18",
+      },
+      {
+        description: "Sweldo",
+        amount: 25000,
+        type: "income",
+        category: "Food",
+      },
+    ],
+  });
+
+  const result = await parseMessageWithAI(
+    "jollibee 150 kahapon, sweldo 25000",
+    config
+  );
+
+  assert.equal(requests.length, 1);
+  assert.match(requests[0].contents, /jollibee 150 kahapon/);
+  assert.equal(requests[0].config.responseMimeType, "application/json");
+  assert.equal(result.intent, "expense");
+  assert.deepEqual(
+    result.records.map(({ description, category, type, date }) => [
+      description,
+      category,
+      type,
+      date,
+    ]),
+    [
+      ["Jollibee", "Food", "expense", "2026-10-18"],
+      ["Sweldo", "Income", "income", getManilaDate()],
+    ]
+  );
+});
+
+test("classifies questions and normalizes their query", async (t) => {
+  useFakeAI(t, {
+    intent: "question",
+    query: {
+      metric: "largest",
+      start: "2026-10-31",
+      end: "2026-10-01",
+      category: "food",
+    },
+  });
+
+  const result = await parseMessageWithAI(
+    "ano pinakamahal kong food this month?",
+    config
+  );
+
+  assert.deepEqual(result, {
+    intent: "question",
+    query: {
+      metric: "largest",
+      start: "2026-10-01",
+      end: "2026-10-31",
+      category: "Food",
+      search: null,
+    },
+  });
+});
+
+test("classifies other messages", async (t) => {
+  useFakeAI(t, { intent: "other" });
+  assert.deepEqual(await parseMessageWithAI("thank you!", config), {
+    intent: "other",
+  });
+});
+
+test("falls back to the offline parser when Gemini is unavailable", async (t) => {
+  useFakeAI(t, new Error("503 overloaded"));
+
+  const result = await parseMessageWithAI("kape 95", config, {
+    maxRetries: 1,
+  });
+
+  assert.equal(result.intent, "expense");
+  assert.equal(result.records.length, 1);
+  assert.equal(result.records[0].description, "kape");
+  assert.equal(result.records[0].amount, 95);
+});
+
+test("passes on errors that aren't worth retrying", async (t) => {
+  useFakeAI(t, new Error("400 invalid argument"));
+  await assert.rejects(parseMessageWithAI("kape 95", config), /400/);
+});
+
+test("the offline parser reads currency, account and income", () => {
+  const [coffee] = parseExpensesManually("coffee $5 via gcash", config);
+  assert.equal(coffee.amount, 5);
+  assert.equal(coffee.currency, "USD");
+  assert.equal(coffee.account, "GCash");
+  assert.equal(coffee.type, "expense");
+
+  const [salary] = parseExpensesManually("sweldo 25000", config);
+  assert.equal(salary.type, "income");
+  assert.equal(salary.category, "Income");
+});
+
+test("transcribes voice notes and extracts their expenses", async (t) => {
+  const requests = useFakeAI(t, {
+    transcript: "  Jollibee 150 kahapon, tapos <jeep> 13  ",
+    expenses: [
+      {
+        description: "Jollibee",
+        amount: 150,
+        type: "expense",
+        category: "Other",
+        date: "kahapon",
+      },
+      {
+        description: "Jeep",
+        amount: 13,
+        type: "expense",
+        category: "Transportation",
+      },
+    ],
+  });
+
+  const { transcript, records } = await parseVoiceWithAI(
+    Buffer.from("voice"),
+    "audio/ogg",
+    config
+  );
+
+  assert.deepEqual(requests[0].contents[0].inlineData, {
+    mimeType: "audio/ogg",
+    data: "dm9pY2U=",
+  });
+  assert.equal(transcript, "Jollibee 150 kahapon, tapos <jeep> 13");
+  assert.equal(
+    formatTranscript(transcript),
+    '🎙️ I heard: <i>"Jollibee 150 kahapon, tapos &lt;jeep&gt; 13"</i>'
+  );
+  assert.deepEqual(
+    records.map(({ description, category, date }) => [
+      description,
+      category,
+      date,
+    ]),
+    [
+      [
+        "Jollibee",
+        "Food",
+        parseDateExpression("kahapon", getManilaDate()).date,
+      ],
+      ["Jeep", "Transportation", getManilaDate()],
+    ]
+  );
+});
+
+test("returns the transcript of a voice note without expenses", async (t) => {
+  useFakeAI(t, { transcript: "hello?" });
+
+  assert.deepEqual(
+    await parseVoiceWithAI(Buffer.from("voice"), "audio/ogg", config),
+    { transcript: "hello?", records: [] }
+  );
+});
+
+const photo = Buffer.from("receipt");
+
+/**
+ * A receipt as Gemini reads it, with line items adding up to the total.
+ */
+const receipt = (overrides = {}) => ({
+  merchant: " Jollibee Katipunan ",
+  date: "2026-10-17",
+  total: 245,
+  currency: "PHP",
+  category: "Food",
+  account: "GCash",
+  items: [
+    { description: "Chickenjoy", amount: 180, category: "Other" },
+    { description: "Coke", amount: 65, category: "Food" },
+    { description: "Discount", amount: 0, category: "Food" },
+  ],
+  ...overrides,
+});
+
+test("logs receipt line items that add up to the total", async (t) => {
+  const requests = useFakeAI(t, receipt());
+
+  const { merchant, records } = await parseReceiptWithAI(
+    photo,
+    "image/jpeg",
+    config
+  );
+
+  assert.equal(requests[0].contents[0].inlineData.data, "cmVjZWlwdA==");
+  assert.equal(merchant, "Jollibee Katipunan");
+  assert.deepEqual(
+    records.map(({ description, amount, category, account, date }) => [
+      description,
+      amount,
+      category,
+      account,
+      date,
+    ]),
+    [
+      ["Chickenjoy (Jollibee Katipunan)", 180, "Food", "GCash", "2026-10-17"],
+      ["Coke (Jollibee Katipunan)", 65, "Food", "GCash", "2026-10-17"],
+    ]
+  );
+});
+
+test("logs the printed total when the items don't add up to it", async (t) => {
+  useFakeAI(t, receipt({ total: 300 }));
+
+  const { records } = await parseReceiptWithAI(photo, "image/jpeg", config);
+
+  assert.deepEqual(
+    records.map(({ description, amount, category }) => [
+      description,
+      amount,
+      category,
+    ]),
+    [["Jollibee Katipunan receipt", 300, "Food"]]
+  );
+});
+
+test("logs just the total when asked in the caption", async (t) => {
+  useFakeAI(t, receipt({ merchant: "" }));
+
+  const { records } = await parseReceiptWithAI(photo, "image/jpeg", config, {
+    totalOnly: true,
+  });
+
+  assert.deepEqual(
+    records.map(({ description, amount }) => [description, amount]),
+    [["Receipt", 245]]
+  );
+});
+
+test("dates receipts from the future or without a date today", async (t) => {
+  useFakeAI(t, receipt({ date: "2099-01-01" }), receipt({ date: undefined }));
+
+  for (let i = 0; i < 2; i++) {
+    const { records } = await parseReceiptWithAI(photo, "image/jpeg", config);
+    assert.deepEqual(
+      records.map((record) => record.date),
+      [getManilaDate(), getManilaDate()]
+    );
+  }
+});
+
+test("returns no records for an unreadable photo", async (t) => {
+  useFakeAI(t, { total: 0, category: "Other", items: [] });
+
+  const { merchant, records } = await parseReceiptWithAI(
+    photo,
+    "image/jpeg",
+    config
+  );
+
+  assert.equal(merchant, "");
+  assert.deepEqual(records, []);
+});
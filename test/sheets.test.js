@@ -0,0 +1,104 @@
+// test/sheets.test.js
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  SHEET_HEADER,
+  setSheetsClient,
+  isSheetsConfigured,
+  parseSpreadsheetId,
+  writeSheetRecords,
+} from "../lib/sheets.js";
+
+/**
+ * Replaces Google Sheets with a client that records every call and starts
+ * with the given worksheets.
+ */
+const useFakeSheets = (t, titles) => {
+  t.mock.method(console, "log", () => {});
+  const calls = [];
+  const record =
+    (method, result = {}) =>
+    async (request) => {
+      calls.push({ method, request });
+      return { data: result };
+    };
+  setSheetsClient(
+    {
+      spreadsheets: {
+        get: record("get", {
+          sheets: titles.map((title) => ({ properties: { title } })),
+        }),
+        batchUpdate: record("batchUpdate"),
+        values: { clear: record("clear"), update: record("update") },
+      },
+    },
+    "bot@example.iam.gserviceaccount.com"
+  );
+  t.after(() => setSheetsClient(null));
+  return calls;
+};
+
+const records = [
+  {
+    date: "2026-10-18",
+    description: '=HYPERLINK("x")',
+    amount: 150,
+    originalAmount: 150,
+    currency: "PHP",
+    rate: 1,
+    category: "Food",
+    account: "GCash",
+    type: "expense",
+    id: "a1b2c3",
+    batch: "b1",
+  },
+];
+
+test("rewrites the worksheet with the ledger's rows", async (t) => {
+  const calls = useFakeSheets(t, ["Expenses"]);
+
+  assert.equal(await writeSheetRecords("sheet123", records), 1);
+
+  assert.deepEqual(
+    calls.map(({ method }) => method),
+    ["get", "clear", "update"]
+  );
+  const { request } = calls[2];
+  assert.equal(request.range, "'Expenses'!A1");
+  assert.equal(request.valueInputOption, "RAW");
+  assert.deepEqual(request.requestBody.values[0], SHEET_HEADER);
+  assert.equal(request.requestBody.values[1][1], '=HYPERLINK("x")');
+});
+
+test("adds the worksheet when it is missing", async (t) => {
+  const calls = useFakeSheets(t, ["Sheet1"]);
+
+  await writeSheetRecords("sheet123", [], { worksheet: "Kay Ana's" });
+
+  assert.deepEqual(calls[1].request.requestBody.requests, [
+    { addSheet: { properties: { title: "Kay Ana's" } } },
+  ]);
+  assert.equal(calls[3].request.range, "'Kay Ana''s'!A1");
+});
+
+test("refuses to sync without a client", async () => {
+  setSheetsClient(null);
+  assert.equal(isSheetsConfigured(), false);
+  await assert.rejects(
+    writeSheetRecords("sheet123", records),
+    /not configured/
+  );
+});
+
+test("reads spreadsheet links and IDs", () => {
+  const id = "1AbCdEfGhIjKlMnOpQrStUvWxYz0123456789";
+  assert.equal(
+    parseSpreadsheetId(
+      `https://docs.google.com/spreadsheets/d/${id}/edit#gid=0`
+    ),
+    id
+  );
+  assert.equal(parseSpreadsheetId(id), id);
+  assert.equal(parseSpreadsheetId("not a sheet"), null);
+});
@@ -0,0 +1,59 @@
+// test/splits.test.js
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseSplitMessage, splitEvenly } from "../lib/splits.js";
+
+const parse = (text) => {
+  const { description, amount, currency } = parseSplitMessage(text);
+  return [description, amount, currency];
+};
+
+test("takes the last number as the amount", () => {
+  assert.deepEqual(parse("2 pizzas 1200 split with @ana"), [
+    "2 pizzas",
+    1200,
+    "PHP",
+  ]);
+  assert.deepEqual(parse("dinner at 7-11 2,400 split with @ana @ben"), [
+    "dinner 7-11",
+    2400,
+    "PHP",
+  ]);
+});
+
+test("prefers the amount next to a currency", () => {
+  assert.deepEqual(parse("$50 for 2 tickets split with @ana"), [
+    "for 2 tickets",
+    50,
+    "USD",
+  ]);
+  assert.deepEqual(parse("1500 yen ramen hati kay @ana"), [
+    "ramen",
+    1500,
+    "JPY",
+  ]);
+  assert.deepEqual(parse("kape ₱180.50 for 3 split @ana"), [
+    "kape for 3",
+    180.5,
+    "PHP",
+  ]);
+});
+
+test("reads the members, and no amount when none is given", () => {
+  assert.deepEqual(parseSplitMessage("dinner split with @Ana @ben @ana"), {
+    description: "dinner",
+    amount: null,
+    currency: "PHP",
+    members: ["@ana", "@ben"],
+  });
+  assert.equal(parseSplitMessage("dinner 2400 with @ana"), null);
+});
+
+test("splits to the centavo", () => {
+  assert.deepEqual(splitEvenly(100, ["@a", "@b", "@c"]), {
+    "@a": 33.34,
+    "@b": 33.33,
+    "@c": 33.33,
+  });
+});
@@ -0,0 +1,73 @@
+// test/storage.test.js
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, rm } from "fs/promises";
+import os from "os";
+import path from "path";
+import { createStorage, updateDocument } from "../lib/storage/index.js";
+
+/**
+ * Runs a test against a local storage in a fresh temporary directory.
+ */
+const withLocalStorage = async (t, run) => {
+  t.mock.method(console, "log", () => {});
+  const dir = await mkdtemp(path.join(os.tmpdir(), "kwentako-"));
+  try {
+    await run(createStorage({ backend: "local", localDir: dir }));
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+};
+
+test("concurrent updates all survive", (t) =>
+  withLocalStorage(t, async (storage) => {
+    const writers = 20;
+    await Promise.all(
+      Array.from({ length: writers }, (_, index) =>
+        updateDocument(
+          storage,
+          "user_1/ledger.json",
+          (content) => JSON.stringify([...JSON.parse(content), index]),
+          { initialContent: () => "[]", maxAttempts: writers + 5 }
+        )
+      )
+    );
+
+    const stored = await storage.read("user_1/ledger.json");
+    assert.deepEqual(
+      JSON.parse(stored.content).sort((a, b) => a - b),
+      Array.from({ length: writers }, (_, index) => index)
+    );
+    assert.equal(stored.version, writers);
+  }));
+
+test("an unchanged document is not written again", (t) =>
+  withLocalStorage(t, async (storage) => {
+    await updateDocument(storage, "user_1/drafts.json", () => "{}");
+    const result = await updateDocument(
+      storage,
+      "user_1/drafts.json",
+      (content) => content
+    );
+    assert.equal(result.version, 1);
+    assert.equal(result.previousVersion, 1);
+  }));
+
+test("updates report the version they replaced", (t) =>
+  withLocalStorage(t, async (storage) => {
+    const first = await updateDocument(
+      storage,
+      "user_1/ledger.json",
+      () => "[]"
+    );
+    const second = await updateDocument(
+      storage,
+      "user_1/ledger.json",
+      () => "[1]"
+    );
+    assert.deepEqual(
+      [first.previousVersion, first.version, second.previousVersion],
+      [0, 1, 1]
+    );
+  }));